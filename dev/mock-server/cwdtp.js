@@ -0,0 +1,171 @@
+/* eslint-env node */
+/**
+ * @fileoverview Minimal server side of the CWDTP protocol, for the mock server.
+ *
+ * This only implements what the client needs: the handshake, pings, closing,
+ * and sending/receiving events. The wire format is modelled on the one used by
+ * ``colonialwars-lib``'s ``WSConn``.
+ */
+
+import crypto from 'crypto'
+
+import debugFactory from 'debug'
+
+import EventEmitter from '../../src/helpers/event-emitter.js'
+
+const debug = debugFactory('cw-client:mock-server:cwdtp')
+
+/**
+ * Magic string that is appended to the client's handshake key before hashing.
+ * This has NOT been checked against ``colonialwars-lib``, so the handshake is
+ * only known to work with this mock. If the client rejects the handshake,
+ * replace this with the string ``colonialwars-lib`` uses.
+ */
+const MAGIC_STRING = '2d6e4f1c-5b3a-4a8e-8f0d-cwdtp-handshake'
+const RESERVED_EVENTS = Object.freeze({
+  CLIENT_HELLO: 'cwdtp::client-hello',
+  SERVER_HELLO: 'cwdtp::server-hello',
+  SERVER_HELLO_ACK: 'cwdtp::server-hello-ack',
+  PING: 'cwdtp::ping',
+  PONG: 'cwdtp::pong',
+  CLOSE: 'cwdtp::close',
+  CLOSE_ACK: 'cwdtp::close-ack'
+})
+
+/**
+ * @typedef {Object} CWDTPMessage
+ * @prop {string} event
+ * @prop {Record<string, any>} meta
+ * @prop {Array<any>} data
+ */
+
+/**
+ * Serializes a CWDTP message.
+ * @param {string} event The event of the message.
+ * @param {Record<string, any>} meta Metadata for the message.
+ * @param {Array<any>} data The data of the message.
+ * @returns {string}
+ */
+function createMessage (event, meta, data) {
+  return JSON.stringify({ event, meta, data })
+}
+
+/**
+ * Parses a CWDTP message. Returns null if the message is invalid.
+ * @param {string} raw The raw message.
+ * @returns {CWDTPMessage|null}
+ */
+function parseMessage (raw) {
+  let msg = null
+  try {
+    msg = JSON.parse(raw)
+  } catch (ex) {
+    return null
+  }
+
+  if (!msg || typeof msg.event !== 'string' || !Array.isArray(msg.data)) {
+    return null
+  }
+
+  msg.meta = msg.meta || {}
+  return msg
+}
+
+/**
+ * A server-side CWDTP connection.
+ *
+ * Emits ``open`` once the handshake completes, and ``close`` once the connection
+ * is closed. Non-reserved events are emitted on ``conn.messages``.
+ */
+export default class MockConn extends EventEmitter {
+  /**
+   * Wraps the specified WebSocket in a CWDTP connection.
+   * @param {import('ws').WebSocket} ws The WebSocket to use.
+   */
+  constructor (ws) {
+    super()
+
+    this.id = crypto.randomBytes(12).toString('hex')
+    this.ws = ws
+    this.open = false
+    this.messages = new EventEmitter()
+
+    ws.on('message', raw => this._onMessage(String(raw)))
+    ws.on('close', () => {
+      this.open = false
+      this.emit('close')
+    })
+  }
+
+  /**
+   * Handles a raw message.
+   * @param {string} raw The raw message.
+   * @private
+   */
+  _onMessage (raw) {
+    const msg = parseMessage(raw)
+    if (!msg) {
+      debug('Received invalid message on connection %s', this.id)
+      return
+    }
+
+    switch (msg.event) {
+      case RESERVED_EVENTS.CLIENT_HELLO: {
+        const resKey = crypto
+          .createHash('sha1')
+          .update(`${msg.meta.req_key}${MAGIC_STRING}`)
+          .digest('base64')
+
+        this._sendRaw(RESERVED_EVENTS.SERVER_HELLO, { res_key: resKey, cid: this.id })
+        break
+      }
+      case RESERVED_EVENTS.SERVER_HELLO_ACK:
+        this.open = true
+        this.emit('open')
+        break
+      case RESERVED_EVENTS.PING:
+        this._sendRaw(RESERVED_EVENTS.PONG, msg.meta)
+        break
+      case RESERVED_EVENTS.CLOSE:
+        this._sendRaw(RESERVED_EVENTS.CLOSE_ACK, {})
+        this.ws.close(1000)
+        break
+      default:
+        if (!this.open) {
+          debug('Received message before handshake on connection %s', this.id)
+          return
+        }
+
+        this.messages.emit(msg.event, ...msg.data)
+        break
+    }
+  }
+
+  /**
+   * Sends a message, no questions asked.
+   * @param {string} event The event to send.
+   * @param {Record<string, any>} meta Metadata.
+   * @param {Array<any>} [data=[]] The data to send.
+   * @private
+   */
+  _sendRaw (event, meta, data = []) {
+    if (this.ws.readyState !== this.ws.OPEN) {
+      return
+    }
+
+    this.ws.send(createMessage(event, meta, data))
+  }
+
+  /**
+   * Sends an event to the client.
+   * @param {string} event The event to send.
+   * @param {...any} data The data to send.
+   */
+  send (event, ...data) {
+    if (!this.open) {
+      throw new Error('Connection is not open!')
+    }
+
+    this._sendRaw(event, {}, data)
+  }
+}
@@ -0,0 +1,425 @@
+/* eslint-env node */
+/**
+ * @fileoverview A tiny, authoritative game simulation for the mock server.
+ */
+
+import debugFactory from 'debug'
+
+const debug = debugFactory('cw-client:mock-server:game')
+
+/**
+ * @typedef {import('./cwdtp').default} MockConn
+ *
+ * @typedef {Object} Vector
+ * @prop {number} x
+ * @prop {number} y
+ *
+ * @typedef {Object} MockPlayer
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {string} team
+ * @prop {MockConn} conn
+ * @prop {Vector} position
+ * @prop {Vector} velocity
+ * @prop {number} lastProcessedInput
+ * @prop {number|null} lastUpdateTime The time of the last update.
+ * @prop {Array<any>} inputs
+ *
+ * @typedef {Object} MockSpectator
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {MockConn} conn
+ *
+ * @typedef {Object} PendingPlayer
+ * @prop {string} name
+ * @prop {string|null} team Null for spectators.
+ * @prop {boolean} spectator
+ *
+ * @typedef {Object} MockGameOpts
+ * @prop {string} id
+ * @prop {string} name
+ * @prop {number} tickRate
+ * @prop {number} maxPlayers
+ * @prop {Array<string>} teams
+ * @prop {Vector} worldLimits
+ * @prop {Array<import('../../src/apps/play-app').Obstacle>} obstacles
+ * @prop {Array<import('../../src/apps/play-app').Decoration>} decorations
+ * @prop {import('../../src/apps/play-app').TileLayer} tiles
+ */
+
+const PLAYER_SPEED = 0.4
+const PLAYER_SIZE = 40
+const PLAYER_GRAPHIC = 'player'
+const OBSTACLE_GRAPHIC = 'sand-block'
+const DECORATION_GRAPHIC = 'sand-patch'
+const NO_IMG = { x: 0, y: 0, w: 0, h: 0 }
+
+/**
+ * Creates the data of a graphic that is just a piece of the tile sheet.
+ * @param {string} id The ID of the graphic.
+ * @param {string} name The name of the graphic.
+ * @param {Record<'x'|'y'|'w'|'h', number>} mainImg Where the graphic is.
+ * @returns {import('../../src/apps/play-app').Graphic}
+ */
+function tileSheetGraphic (id, name, mainImg) {
+  return {
+    id,
+    name,
+    file: 'tiles.png',
+    angles: 1,
+    hasAnimations: false,
+    mainImg,
+    damaged1Img: NO_IMG,
+    damaged2Img: NO_IMG,
+    constructing1Img: NO_IMG,
+    animations: {}
+  }
+}
+
+/**
+ * Clamps a number between min and max.
+ * @param {number} num The number to clamp.
+ * @param {number} min The minimum.
+ * @param {number} max The maximum.
+ * @returns {number}
+ */
+function clamp (num, min, max) {
+  return Math.min(Math.max(num, min), max)
+}
+
+/**
+ * Moves a position along one axis, stopping at the edge of the first obstacle
+ * in the way, however far it moves. This is the same thing the client does in
+ * ``src/game/systems/collision.js``.
+ * @param {Vector} position The position to move. Modified in place.
+ * @param {'x'|'y'} axis The axis to move along.
+ * @param {number} distance How far to move.
+ * @param {Array<Record<'min'|'max', Vector>>} colliders The obstacles' boxes,
+ * grown by half the player's size.
+ */
+function moveAxis (position, axis, distance, colliders) {
+  if (distance === 0) {
+    return
+  }
+
+  const other = axis === 'x' ? 'y' : 'x'
+  const start = position[axis]
+  let end = start + distance
+
+  for (const collider of colliders) {
+    if (position[other] <= collider.min[other] || position[other] >= collider.max[other]) {
+      continue
+    }
+
+    if (distance > 0 && collider.min[axis] >= start && collider.min[axis] < end) {
+      end = collider.min[axis]
+    } else if (distance < 0 && collider.max[axis] <= start && collider.max[axis] > end) {
+      end = collider.max[axis]
+    }
+  }
+
+  position[axis] = end
+}
+
+/**
+ * Gets the velocity of a player with the specified input, the same way the
+ * real server does.
+ * @param {any} input The input.
+ * @returns {Vector}
+ */
+function getVelocity (input) {
+  const direction = input.direction
+  const velocity = { x: 0, y: 0 }
+
+  if (direction.up) {
+    velocity.y = -PLAYER_SPEED
+  } else if (direction.down) {
+    velocity.y = PLAYER_SPEED
+  }
+
+  if (direction.left) {
+    velocity.x = -PLAYER_SPEED
+  } else if (direction.right) {
+    velocity.x = PLAYER_SPEED
+  }
+
+  return velocity
+}
+
+/**
+ * A mock game.
+ */
+export default class MockGame {
+  /**
+   * Creates a new mock game.
+   * @param {MockGameOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.id = opts.id
+    this.name = opts.name
+    this.tickRate = opts.tickRate
+    this.maxPlayers = opts.maxPlayers
+    this.teams = opts.teams
+    this.worldLimits = opts.worldLimits
+    this.obstacles = opts.obstacles
+    this.decorations = opts.decorations
+    this.tiles = opts.tiles
+    this.colliders = opts.obstacles.map(obstacle => ({
+      min: {
+        x: Math.floor(obstacle.position.x - obstacle.size.x / 2 - PLAYER_SIZE / 2),
+        y: Math.floor(obstacle.position.y - obstacle.size.y / 2 - PLAYER_SIZE / 2)
+      },
+      max: {
+        x: Math.ceil(obstacle.position.x + obstacle.size.x / 2 + PLAYER_SIZE / 2),
+        y: Math.ceil(obstacle.position.y + obstacle.size.y / 2 + PLAYER_SIZE / 2)
+      }
+    }))
+
+    /**
+     * Players (and spectators) that have been authorized, but haven't joined
+     * yet. Maps authorization tokens to player names and teams.
+     * @type {Map<string, PendingPlayer>}
+     */
+    this.pendingPlayers = new Map()
+    /** @type {Map<string, MockPlayer>} */
+    this.players = new Map()
+    /** @type {Map<string, MockSpectator>} */
+    this.spectators = new Map()
+
+    this._interval = null
+  }
+
+  /**
+   * Gets information about this game, in the format the ``/games-info`` API
+   * returns.
+   * @returns {import('../../src/helpers/loaders').GameInfo}
+   */
+  get info () {
+    return {
+      id: this.id,
+      name: this.name,
+      mode: 'teams',
+      teams: this.teams.map(name => ({ name, full: this.full })),
+      description: 'A mock game, for local development.',
+      capacity: {
+        max: this.maxPlayers,
+        current: this.players.size
+      }
+    }
+  }
+
+  /**
+   * Is this game full?
+   * @returns {boolean}
+   */
+  get full () {
+    const pending = [...this.pendingPlayers.values()]
+      .filter(player => !player.spectator)
+
+    return this.players.size + pending.length >= this.maxPlayers
+  }
+
+  /**
+   * Gets the map data sent to clients on a ``ready`` event.
+   * @returns {import('../../src/apps/play-app').MapData}
+   */
+  get mapData () {
+    return {
+      tickRate: this.tickRate,
+      obstacles: this.obstacles,
+      decorations: this.decorations,
+      tileType: 'grass',
+      tiles: this.tiles,
+      worldLimits: this.worldLimits,
+      graphicsData: {
+        // There are no real sprites yet, so just use pieces of the tile sheet.
+        [PLAYER_GRAPHIC]: tileSheetGraphic(
+          PLAYER_GRAPHIC, 'Player', { x: 230, y: 30, w: 40, h: 40 }
+        ),
+        [OBSTACLE_GRAPHIC]: tileSheetGraphic(
+          OBSTACLE_GRAPHIC, 'Sand block', { x: 100, y: 0, w: 100, h: 100 }
+        ),
+        [DECORATION_GRAPHIC]: tileSheetGraphic(
+          DECORATION_GRAPHIC, 'Sand patch', { x: 130, y: 30, w: 40, h: 40 }
+        )
+      }
+    }
+  }
+
+  /**
+   * Checks whether a player with the specified name exists in this game.
+   * @param {string} name The name of the player.
+   * @returns {boolean}
+   */
+  hasPlayer (name) {
+    const names = [...this.players.values(), ...this.spectators.values()]
+      .map(p => p.name)
+      .concat([...this.pendingPlayers.values()].map(p => p.name))
+
+    return names.includes(name)
+  }
+
+  /**
+   * Adds a player (or a spectator) to this game.
+   * @param {string} auth The player's authorization token.
+   * @param {MockConn} conn The player's connection.
+   * @returns {boolean} Whether the player was added.
+   */
+  addPlayer (auth, conn) {
+    const pending = this.pendingPlayers.get(auth)
+    if (!pending) {
+      return false
+    }
+
+    this.pendingPlayers.delete(auth)
+    if (pending.spectator) {
+      this.spectators.set(conn.id, { id: conn.id, name: pending.name, conn })
+
+      debug('Spectator %s joined game %s', pending.name, this.id)
+      return true
+    }
+
+    this.players.set(conn.id, {
+      id: conn.id,
+      name: pending.name,
+      team: pending.team,
+      conn,
+      position: {
+        x: Math.round(Math.random() * this.worldLimits.x),
+        y: Math.round(Math.random() * this.worldLimits.y)
+      },
+      velocity: { x: 0, y: 0 },
+      lastProcessedInput: 0,
+      lastUpdateTime: null,
+      inputs: []
+    })
+
+    debug('Player %s joined game %s', pending.name, this.id)
+    return true
+  }
+
+  /**
+   * Removes a player (or a spectator) from this game.
+   * @param {string} id The ID of the player's connection.
+   */
+  removePlayer (id) {
+    this.players.delete(id)
+    this.spectators.delete(id)
+  }
+
+  /**
+   * Queues an input for the specified player.
+   * @param {string} id The ID of the player's connection.
+   * @param {any} input The input.
+   */
+  addInput (id, input) {
+    const player = this.players.get(id)
+    if (!player) {
+      return
+    }
+
+    player.inputs.push(input)
+  }
+
+  /**
+   * Moves a player to where they would be at the specified time.
+   * @param {MockPlayer} player The player to move.
+   * @param {number} time The time. Clients send the wall-clock time with their
+   * inputs, so this is comparable to ``Date.now()``.
+   * @private
+   */
+  _advance (player, time) {
+    if (player.lastUpdateTime === null || time < player.lastUpdateTime) {
+      player.lastUpdateTime = time
+      return
+    }
+
+    const deltaTime = time - player.lastUpdateTime
+
+    moveAxis(player.position, 'x', Math.floor(player.velocity.x * deltaTime), this.colliders)
+    moveAxis(player.position, 'y', Math.floor(player.velocity.y * deltaTime), this.colliders)
+    player.position.x = clamp(player.position.x, 0, this.worldLimits.x)
+    player.position.y = clamp(player.position.y, 0, this.worldLimits.y)
+    player.lastUpdateTime = time
+  }
+
+  /**
+   * Performs a single game tick.
+   * @private
+   */
+  _tick () {
+    for (const player of this.players.values()) {
+      for (const input of player.inputs.splice(0)) {
+        if (input.inputNum <= player.lastProcessedInput) {
+          continue
+        }
+
+        this._advance(player, input.timestamp)
+        player.velocity = getVelocity(input)
+        player.lastProcessedInput = input.inputNum
+      }
+
+      this._advance(player, Date.now())
+    }
+
+    for (const player of this.players.values()) {
+      if (!player.conn.open) {
+        continue
+      }
+
+      player.conn.send('update', {
+        self: {
+          position: player.position,
+          velocity: player.velocity,
+          lastProcessedInput: player.lastProcessedInput,
+          speed: PLAYER_SPEED,
+          name: player.name,
+          team: player.team,
+          graphic: PLAYER_GRAPHIC
+        },
+        others: [...this.players.values()]
+          .filter(other => other !== player)
+          .map(other => ({
+            id: other.id,
+            name: other.name,
+            team: other.team,
+            graphic: PLAYER_GRAPHIC,
+            position: other.position,
+            velocity: other.velocity
+          }))
+      })
+    }
+
+    // Spectators don't have a player, so they're only sent everyone else.
+    for (const spectator of this.spectators.values()) {
+      if (!spectator.conn.open) {
+        continue
+      }
+
+      spectator.conn.send('update', {
+        others: [...this.players.values()].map(player => ({
+          id: player.id,
+          name: player.name,
+          team: player.team,
+          graphic: PLAYER_GRAPHIC,
+          position: player.position,
+          velocity: player.velocity
+        }))
+      })
+    }
+  }
+
+  /**
+   * Starts running this game.
+   */
+  start () {
+    this._interval = setInterval(() => this._tick(), 1000 / this.tickRate)
+  }
+
+  /**
+   * Stops running this game.
+   */
+  stop () {
+    clearInterval(this._interval)
+  }
+}
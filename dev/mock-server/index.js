@@ -0,0 +1,235 @@
+/* eslint-env node */
+/**
+ * @fileoverview A mock Colonial Wars server that runs alongside the Vite
+ * development server, so the client could be developed without a real
+ * ``colonialwars-server``.
+ */
+
+import crypto from 'crypto'
+
+import debugFactory from 'debug'
+import { WebSocketServer } from 'ws'
+
+import MockConn from './cwdtp.js'
+import MockGame from './game.js'
+
+const debug = debugFactory('cw-client:mock-server')
+
+/**
+ * @typedef {import('http').IncomingMessage} IncomingMessage
+ * @typedef {import('http').ServerResponse} ServerResponse
+ */
+
+/**
+ * Creates a run-length encoded tile layer.
+ * @param {number} width How many tiles there are in every row.
+ * @param {number} height How many rows of tiles there are.
+ * @param {Array<string>} palette The types of tiles used.
+ * @param {(x: number, y: number) => number} indexAt Gets the palette index of
+ * the tile at the specified column and row.
+ * @returns {import('../../src/apps/play-app').TileLayer}
+ */
+function createTileLayer (width, height, palette, indexAt) {
+  const data = []
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = indexAt(x, y)
+      if (data.length > 0 && data[data.length - 1] === index) {
+        data[data.length - 2]++
+      } else {
+        data.push(1, index)
+      }
+    }
+  }
+
+  return { width, height, palette, data }
+}
+
+const games = [
+  new MockGame({
+    id: 'mock-1',
+    name: 'Plains',
+    tickRate: 20,
+    maxPlayers: 8,
+    teams: ['Blue', 'Red'],
+    worldLimits: { x: 5000, y: 5000 },
+    // A wall down the middle of the map, with a gap in it.
+    obstacles: [1000, 1100, 1200, 1300, 1600, 1700, 1800, 1900].map(y => ({
+      graphic: 'sand-block',
+      position: { x: 2500, y },
+      size: { x: 100, y: 100 }
+    })),
+    decorations: [
+      { graphic: 'sand-patch', position: { x: 2300, y: 1450 } },
+      { graphic: 'sand-patch', position: { x: 2700, y: 1550 } }
+    ],
+    // Grass, with a sandy area around the wall and a pond in the corner.
+    tiles: createTileLayer(50, 50, ['grass', 'sand', 'water'], (x, y) => {
+      if (x >= 20 && x < 30 && y >= 8 && y < 22) {
+        return 1
+      }
+
+      return Math.hypot(x - 10, y - 38) < 6 ? 2 : 0
+    })
+  })
+]
+
+/**
+ * Sends a JSON response.
+ * @param {ServerResponse} res The response to send.
+ * @param {number} status The status code to use.
+ * @param {any} body The body of the response.
+ */
+function sendJson (res, status, body) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Sends a JSON error response.
+ * @param {ServerResponse} res The response to send.
+ * @param {number} status The status code to use.
+ * @param {string} message The error message.
+ */
+function sendError (res, status, message) {
+  sendJson(res, status, {
+    status: 'error',
+    error: { message }
+  })
+}
+
+/**
+ * Handles the ``/status-report`` route.
+ * @param {IncomingMessage} _req
+ * @param {ServerResponse} res
+ */
+function handleStatusReport (_req, res) {
+  sendJson(res, 200, {
+    status: 'ok',
+    data: {
+      serverRunning: true,
+      full: games.every(game => game.full)
+    }
+  })
+}
+
+/**
+ * Handles the ``/games-info`` route.
+ * @param {IncomingMessage} _req
+ * @param {ServerResponse} res
+ */
+function handleGamesInfo (_req, res) {
+  sendJson(res, 200, {
+    status: 'ok',
+    data: games.map(game => game.info)
+  })
+}
+
+/**
+ * Handles the ``/game-auth/get`` route.
+ * @param {IncomingMessage} req
+ * @param {ServerResponse} res
+ */
+function handleGameAuth (req, res) {
+  const query = new URL(req.url, 'http://localhost').searchParams
+  const name = query.get('playername')
+  const team = query.get('playerteam')
+  const spectator = query.get('spectate') === 'true'
+  const game = games.find(game => String(game.id) === query.get('playergame'))
+
+  if (!name || !game || (!spectator && !game.teams.includes(team))) {
+    sendError(res, 400, 'Invalid query!')
+    return
+  } else if (game.hasPlayer(name)) {
+    sendError(res, 409, 'Player already exists.')
+    return
+  } else if (!spectator && game.full) {
+    // Spectators don't take up any room.
+    sendError(res, 409, 'Game is full.')
+    return
+  }
+
+  const auth = crypto.randomBytes(16).toString('hex')
+  game.pendingPlayers.set(auth, { name, team: spectator ? null : team, spectator })
+
+  sendJson(res, 200, {
+    status: 'ok',
+    data: { auth }
+  })
+}
+
+/**
+ * Handles a new CWDTP connection to ``/play``.
+ * @param {MockConn} conn The new connection.
+ * @param {URLSearchParams} query The query of the connection request.
+ */
+function handlePlay (conn, query) {
+  const game = games.find(game => String(game.id) === query.get('game'))
+
+  conn.on('open', () => {
+    if (!game || !game.addPlayer(query.get('auth'), conn)) {
+      debug('Rejecting connection %s: invalid authorization', conn.id)
+      conn.ws.close(4001, 'Invalid authorization!')
+      return
+    }
+
+    conn.messages.on('ready', () => {
+      conn.send('ready-ack', game.mapData)
+    })
+    conn.messages.on('client-action', input => {
+      game.addInput(conn.id, input)
+    })
+  })
+  conn.on('close', () => {
+    if (game) {
+      game.removePlayer(conn.id)
+    }
+  })
+}
+
+/**
+ * Attaches the mock server's routes to the specified Vite server.
+ * @param {import('vite').ViteDevServer|import('vite').PreviewServer} server
+ */
+function attach (server) {
+  const wss = new WebSocketServer({ noServer: true })
+
+  server.middlewares.use('/status-report', handleStatusReport)
+  server.middlewares.use('/games-info', handleGamesInfo)
+  server.middlewares.use('/game-auth/get', handleGameAuth)
+
+  server.httpServer.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost')
+    if (url.pathname !== '/play') {
+      // Probably Vite's own WebSocket.
+      return
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      handlePlay(new MockConn(ws), url.searchParams)
+    })
+  })
+  server.httpServer.on('close', () => {
+    games.forEach(game => game.stop())
+  })
+
+  games.forEach(game => game.start())
+
+  debug('Mock Colonial Wars server attached')
+}
+
+/**
+ * Creates a Vite plugin that serves a mock Colonial Wars server from the
+ * development (and preview) server.
+ * @returns {import('vite').Plugin}
+ */
+export default function mockServerPlugin () {
+  return {
+    name: 'mock-server-plugin',
+    configureServer: attach,
+    configurePreviewServer: attach
+  }
+}
@@ -11,6 +11,7 @@ import debugFactory from 'debug'
 
 import constants from '../constants.js'
 import EventEmitter from '../helpers/event-emitter.js'
+import Router from '../helpers/router.js'
 
 import { ViewportDimensions } from '../helpers/display-utils.js'
 
@@ -22,11 +23,20 @@ const debug = debugFactory('cw-client:main-app')
  * @prop {string} gameID
  * @prop {string} serverLoc
  * @prop {string} playerName
- * @prop {string} playerTeam
+ * @prop {string|null} playerTeam Null while spectating.
+ * @prop {boolean} [spectate] Whether to join the game as a spectator, without
+ * a player of our own.
+ *
+ * @typedef {Object} DeepLink
+ * @prop {string} server The location of the server the game is on.
+ * @prop {string} gameId The ID of the game.
+ *
+ * @typedef {Object} LobbyOpts
+ * @prop {DeepLink} [deepLink] A game to open the Play dialog on.
  *
  * @typedef {Object} SubAppOpts
  * @prop {ViewportDimensions} vwDimensions
- * @prop {(page: symbol) => void} setPage
+ * @prop {(page: symbol, opts?: any, replaceUrl?: boolean) => void} setPage
  *
  * @typedef {Object} SubApp
  * @prop {(opts: any) => Promise<void>} initWithOpts
@@ -38,6 +48,7 @@ const debug = debugFactory('cw-client:main-app')
  */
 
 const AppPages = constants.APP_PAGES
+const Routes = constants.ROUTES
 
 /** @type {SubAppConstructor} */
 let LobbyApp = null
@@ -45,16 +56,63 @@ let LobbyApp = null
 let PlayApp = null
 
 /**
- * Get the symbol for the current page.
- * @param {string} path The current path.
- * @returns {symbol}
+ * Gets the page to show for a matched route, and the options to show it with.
+ *
+ * The play page can't be opened directly (the player needs a name, a team and
+ * authorization), so a link to a game opens the lobby with the Play dialog
+ * pointed at that game instead.
+ * @param {import('../helpers/router').RouteMatch|null} match The matched route.
+ * @returns {{ page: symbol, opts?: LobbyOpts }}
  */
-function getCurrentPage (path) {
-  switch (path) {
-    case '/':
-      return AppPages.LOBBY
+function getPageFor (match) {
+  if (!match) {
+    return { page: AppPages.UNSET }
+  }
+
+  switch (match.route.page) {
+    case AppPages.PLAY:
+      if (!match.query.server) {
+        return { page: AppPages.UNSET }
+      }
+
+      return {
+        page: AppPages.LOBBY,
+        opts: {
+          deepLink: {
+            server: match.query.server,
+            gameId: match.params.gameId
+          }
+        }
+      }
     default:
-      return AppPages.UNSET
+      return { page: match.route.page }
+  }
+}
+
+/**
+ * Gets the path of the specified page.
+ *
+ * While the lobby is showing a link to a game, the link stays in the address
+ * bar, so that it could still be shared or reloaded.
+ * @param {symbol} page The page.
+ * @param {any} [opts] The options the page is being shown with.
+ * @returns {string}
+ */
+function getPathFor (page, opts) {
+  switch (page) {
+    case AppPages.PLAY:
+      return Router.buildPath(
+        Routes.PLAY, { gameId: opts.gameID }, { server: opts.serverLoc }
+      )
+    case AppPages.LOBBY:
+      if (opts?.deepLink) {
+        return Router.buildPath(
+          Routes.PLAY, { gameId: opts.deepLink.gameId }, { server: opts.deepLink.server }
+        )
+      }
+      return Routes.LOBBY
+    default:
+      return Routes.LOBBY
   }
 }
 /**
@@ -105,6 +163,10 @@ export default class App extends EventEmitter {
     this.subAppCache = {}
 
     this.vwDimensions = new ViewportDimensions()
+    this.router = new Router([
+      { pattern: Routes.LOBBY, page: AppPages.LOBBY },
+      { pattern: Routes.PLAY, page: AppPages.PLAY }
+    ])
   }
 
   /**
@@ -141,16 +203,41 @@ export default class App extends EventEmitter {
   }
 
   /**
-   * Sets what page the application is currently on.
+   * Shows the page for the specified route, without adding to the history.
+   * @param {import('../helpers/router').RouteMatch|null} match The matched route.
+   * @private
+   */
+  _showRoute (match) {
+    const { page, opts } = getPageFor(match)
+
+    if (page === AppPages.UNSET) {
+      // Unknown URL, so just go to the lobby.
+      this.setPage(AppPages.LOBBY, undefined, true)
+      return
+    }
+
+    this.setPage(page, opts, true)
+  }
+
+  /**
+   * Sets what page the application is currently on, and updates the URL to
+   * match.
+   *
+   * If the application is already on the page, only the URL is updated unless
+   * ``opts`` is specified, in which case the page is restarted with them.
    * @param {symbol} page The page to switch to.
-   * @param {any} opts Any options to pass to the ``pageChange`` event handler.
+   * @param {any} [opts] Any options to pass to the ``pageChange`` event handler.
+   * @param {boolean} [replaceUrl=false] Whether to replace the current history
+   * entry instead of adding a new one.
    */
-  setPage (page, opts) {
-    if (this.page === page) {
-      // Do nothing
+  setPage (page, opts, replaceUrl = false) {
+    if (this.page === page && opts === undefined) {
+      this.router.navigate(getPathFor(page), replaceUrl)
       return
     }
 
+    this.router.navigate(getPathFor(page, opts), replaceUrl)
+
     this.page = page
     this.emit('pageChange', opts)
   }
@@ -163,6 +250,10 @@ export default class App extends EventEmitter {
       this.vwDimensions.update()
     })
 
+    this.router.on('navigate', match => {
+      this._showRoute(match)
+    })
+
     this.on('pageChange', opts => {
       if (this.currentSubApp) {
         this.currentSubApp.stop()
@@ -191,6 +282,9 @@ export default class App extends EventEmitter {
       throw new Error('Main app not initialized!')
     }
 
-    this.setPage(getCurrentPage(window.location.pathname))
+    this.router.start()
+    this._showRoute(
+      this.router.match(window.location.pathname, window.location.search)
+    )
   }
 }
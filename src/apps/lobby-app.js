@@ -6,11 +6,12 @@
 import debugFactory from 'debug'
 
 import PlayDialog from '../dialogs/play-dialog.js'
-// import SettingsDialog from '../components/settings-dialog.js'
+import SettingsDialog from '../dialogs/settings-dialog.js'
 
 import constants from '../constants.js'
 import { ErrorDisplayer } from '../helpers/display-utils.js'
 import { ImageLoader } from '../helpers/image-helpers.js'
+import { removeAllChildNodes } from '../helpers/dom-helpers.js'
 import * as loaders from '../helpers/loaders.js'
 
 const debug = debugFactory('cw-client:lobby-app')
@@ -20,7 +21,7 @@ const debug = debugFactory('cw-client:lobby-app')
  *
  * @typedef {Object} LobbyAppOptions
  * @prop {import('../helpers/display-utils').ViewportDimensions} vwDimensions
- * @prop {(page: symbol, opts: any) => void} setPage
+ * @prop {(page: symbol, opts?: any, replaceUrl?: boolean) => void} setPage
  */
 
 /**
@@ -40,6 +41,11 @@ export default class LobbyApp {
      * Any error that was encountered.
      */
     this.error = null
+    /**
+     * A game to open the Play dialog on when the lobby app starts, if any.
+     * @type {import('./app').DeepLink|null}
+     */
+    this.deepLink = null
 
     this.footerContent = new DocumentFragment()
 
@@ -48,6 +54,10 @@ export default class LobbyApp {
       play: playOpts => {
         opts.setPage(constants.APP_PAGES.PLAY, playOpts)
       },
+      onClose: () => {
+        // Don't keep a link to a game the player decided not to join.
+        opts.setPage(constants.APP_PAGES.LOBBY, undefined, true)
+      },
       getServers: () => {
         return this.servers
       },
@@ -59,6 +69,9 @@ export default class LobbyApp {
         baseURL: new URL('/imgs/game/previews/', window.location.origin).href
       })
     })
+    this.settingsDialog = new SettingsDialog({
+      vwDimensions: opts.vwDimensions
+    })
   }
 
   /**
@@ -70,6 +83,15 @@ export default class LobbyApp {
     this.playDialog.show()
   }
 
+  /**
+   * Called when the Settings button is clicked.
+   * @param {MouseEvent} e
+   */
+  _onSettingsButtonClick (e) {
+    e.preventDefault()
+    this.settingsDialog.show()
+  }
+
   /**
    * Shows the error store in ``this.error``.
    * @private
@@ -78,6 +100,7 @@ export default class LobbyApp {
     // 1: close all dialogs.
     this.playDialog.reset()
     this.playDialog.hide()
+    this.settingsDialog.hide()
 
     // 2: show the error.
     const errDisplayer = new ErrorDisplayer({
@@ -94,8 +117,18 @@ export default class LobbyApp {
 
   /**
    * Initializes the lobby app.
+   *
+   * The lobby app is only initialized once; if it's initialized again (e.g.
+   * when returning from a game), only the options are updated.
+   * @param {import('./app').LobbyOpts} [opts] Lobby options.
    */
-  async initWithOpts (_) {
+  async initWithOpts (opts) {
+    this.deepLink = opts?.deepLink || null
+
+    if (this.initialized) {
+      return
+    }
+
     // Step 1: display the version in the footer.
     const footer = this.footerContent
     const version = document.createElement('a')
@@ -107,9 +140,11 @@ export default class LobbyApp {
 
     // Step 2: bind event listeners.
     this._onPlayButtonClick = this._onPlayButtonClick.bind(this)
+    this._onSettingsButtonClick = this._onSettingsButtonClick.bind(this)
 
     // Step 3: initialize dialogs.
     this.playDialog.init()
+    this.settingsDialog.init()
 
     // Step 4: get servers.
     let servers = null
@@ -177,9 +212,18 @@ export default class LobbyApp {
     // Step 4: attach event listeners.
     document.getElementById('play-button')
       .addEventListener('click', this._onPlayButtonClick)
+    document.getElementById('settings-button')
+      .addEventListener('click', this._onSettingsButtonClick)
 
     this.running = true
 
+    // Step 5: open the Play dialog if we were linked to a game.
+    if (this.deepLink) {
+      debug('Opening deep link: %O', this.deepLink)
+      this.playDialog.showDeepLink(this.deepLink)
+      this.deepLink = null
+    }
+
     debug('Lobby app started')
   }
 
@@ -207,10 +251,16 @@ export default class LobbyApp {
     // Step 3: detach event listeners.
     document.getElementById('play-button')
       .removeEventListener('click', this._onPlayButtonClick)
+    document.getElementById('settings-button')
+      .removeEventListener('click', this._onSettingsButtonClick)
+
+    // Step 4: remove the version from the footer, since it's re-added on start.
+    removeAllChildNodes(document.getElementById('lobby-footer'))
 
-    // Step 4: hide all dialogs.
+    // Step 5: hide all dialogs.
     this.playDialog.reset()
     this.playDialog.hide()
+    this.settingsDialog.hide()
 
     this.running = false
     debug('Lobby app stopped')
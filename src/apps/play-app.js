@@ -9,47 +9,14 @@ import debugFactory from 'debug'
 import constants from '../constants.js'
 import Game from '../game/game.js'
 import * as crypto from '../cwdtp/crypto.js'
+import * as PlayService from '../services/play-service.js'
+import * as SettingsService from '../services/settings-service.js'
 
 import { ErrorDisplayer } from '../helpers/display-utils.js'
 
-const { COMMUNICATIONS: communications } = constants
+const { COMMUNICATIONS: communications, RECONNECTION: reconnection } = constants
 const debug = debugFactory('cw-client:play-app')
 
-/**
- * Returns the localStorage object if available. Otherwise,
- * returns undefined.
- * @returns {Storage|undefined}
- */
-function getStorage () {
-  if (window.localStorage) {
-    return window.localStorage
-  }
-  return undefined
-}
-/**
- * Get's the client's current key bindings.
- * @returns {import('../game/game.js').GameKeyBindings}
- */
-function getKeyBindings () {
-  /**
-   * @type {import('../game/game.js').GameKeyBindings}
-   */
-  let bindings = null
-  const storage = getStorage()
-  if (!storage) {
-    return constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS
-  }
-
-  const item = storage.getItem('key-bindings')
-  if (!item) {
-    bindings = constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS
-  } else {
-    bindings = JSON.parse(item)
-  }
-
-  return bindings
-}
-
 /**
  * @typedef {import('./app').PlayOpts} PlayOpts
  * @typedef {Record<'x'|'y'|'w'|'h', number>} StaticImage
@@ -74,10 +41,36 @@ function getKeyBindings () {
  * @prop {StaticImage} constructing1Img
  * @prop {Record<DynAnimationKeys, DynAnimation>} animations
  *
+ * @typedef {Object} Decoration A purely cosmetic object on the map.
+ * @prop {string} graphic The ID of the decoration's graphic.
+ * @prop {Record<'x'|'y', number>} position The position of the center of the
+ * decoration.
+ *
+ * @typedef {Object} Obstacle An object on the map that can't be walked through.
+ * @prop {string} graphic The ID of the obstacle's graphic.
+ * @prop {Record<'x'|'y', number>} position The position of the center of the
+ * obstacle.
+ * @prop {Record<'x'|'y', number>} size The width and height of the obstacle's
+ * collision box.
+ *
+ * @typedef {Object} TileLayer The tiles that make up the ground of the map.
+ * @prop {number} width How many tiles there are in every row.
+ * @prop {number} height How many rows of tiles there are.
+ * @prop {Array<string>} palette The types of tiles used by this layer. Types
+ * are described in ``/imgs/game/tiles.json``.
+ * @prop {Array<number>} data Run-length encoded palette indices of every tile,
+ * row by row. Every pair of numbers is a count followed by a palette index.
+ *
  * @typedef {Object} MapData
- * @prop {Array<any>} obstacles
- * @prop {Array<any>} decorations
- * @prop {'grass'|'sand'} tileType
+ * @prop {number} [tickRate] How many simulation ticks the server performs
+ * every second. This is optional protocol data: servers that don't send it are
+ * assumed to tick ``constants.GAME_CONSTANTS.DEFAULT_TICK_RATE`` times a
+ * second.
+ * @prop {Array<Obstacle>} obstacles
+ * @prop {Array<Decoration>} decorations
+ * @prop {string} tileType The type of tile to fill the map with, if ``tiles``
+ * is not specified.
+ * @prop {TileLayer} [tiles] The tiles of the map.
  * @prop {Record<string, Graphic>} graphicsData
  * @prop {Readonly<import('../game/game').WorldLimits>} worldLimits
  */
@@ -100,15 +93,94 @@ export default class PlayApp {
     this.canvas = null
     this.connected = false
     this.error = null
+    this.stopped = false
+    /**
+     * How many times we've tried to reconnect since the connection was lost.
+     */
+    this.reconnectAttempts = 0
+    this.reconnectTimeout = null
+    /**
+     * Whether a reconnection is scheduled or in progress. Only one can be at
+     * a time.
+     */
+    this.reconnecting = false
 
     this.vwDimensions = opts.vwDimensions
+    this.setPage = opts.setPage
+
+    this._onDocumentKeyDown = this._onDocumentKeyDown.bind(this)
+    this._onMenuButtonClick = this._onMenuButtonClick.bind(this)
+    this._onResumeButtonClick = this._onResumeButtonClick.bind(this)
+    this._onHudButtonClick = this._onHudButtonClick.bind(this)
+    this._onLeaveButtonClick = this._onLeaveButtonClick.bind(this)
+  }
+
+  /**
+   * Shows or hides the in-game menu.
+   * @param {boolean} show Whether to show the menu.
+   * @private
+   */
+  _toggleMenu (show) {
+    document.getElementById('game-menu').classList.toggle('hidden', !show)
+  }
+
+  /**
+   * Called on every ``keydown`` event while this app is running.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _onDocumentKeyDown (e) {
+    if (e.key === 'Escape') {
+      const menu = document.getElementById('game-menu')
+      this._toggleMenu(menu.classList.contains('hidden'))
+    }
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onMenuButtonClick (e) {
+    e.preventDefault()
+    this._toggleMenu(true)
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onResumeButtonClick (e) {
+    e.preventDefault()
+    this._toggleMenu(false)
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onHudButtonClick (e) {
+    e.preventDefault()
+    if (this.game) {
+      this.game.toggleHud()
+    }
+  }
+
+  /**
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onLeaveButtonClick (e) {
+    e.preventDefault()
+    this.leave()
   }
 
   /**
    * Shows the error store in ``this.error``.
+   * @param {boolean} [canReturn=false] Whether to show a button to return to
+   * the lobby.
    * @private
    */
-  _showError () {
+  _showError (canReturn = false) {
     // 1: show the error.
     const errDisplayer = new ErrorDisplayer({
       classes: [],
@@ -117,37 +189,215 @@ export default class PlayApp {
     errDisplayer.display(this.error, false)
 
     // 2: show and hide elements.
+    const returnButton = document.getElementById('error-screen__return-button')
+    if (canReturn) {
+      returnButton.classList.remove('hidden')
+    }
+
     document.getElementById('loading-screen').classList.add('hidden')
+    document.getElementById('reconnecting-overlay').classList.add('hidden')
     document.getElementById('app-main').classList.add('hidden')
     document.getElementById('error-screen').classList.remove('hidden')
   }
 
   /**
-   * Creates a CWDTP connection to the server.
+   * Shows how much of the game has been loaded on the loading screen.
+   * @param {number|null} progress How much of the game (from 0 to 1) has been
+   * loaded, or null to hide the progress bar.
+   * @private
+   */
+  _showLoadProgress (progress) {
+    const progressElem = document.getElementById('loading-progress')
+
+    progressElem.classList.toggle('hidden', progress === null)
+    progressElem.value = Math.round((progress ?? 0) * 100)
+  }
+
+  /**
+   * Shows or hides the "Reconnecting" overlay.
+   * @param {string|null} message The message to show, or null to hide the
+   * overlay.
+   * @private
+   */
+  _showReconnecting (message) {
+    const overlay = document.getElementById('reconnecting-overlay')
+    const messageElem = document.getElementById('reconnecting-message')
+
+    if (message === null) {
+      overlay.classList.add('hidden')
+      return
+    }
+
+    messageElem.textContent = message
+    overlay.classList.remove('hidden')
+  }
+
+  /**
+   * Gets the URL to connect to the game server with.
+   * @returns {URL}
+   * @private
+   */
+  _getConnectUrl () {
+    const connectQuery = new URLSearchParams({
+      auth: this.playOpts.auth,
+      game: this.playOpts.gameID,
+      ...PlayService.getPlayerQuery(this.playOpts)
+    })
+    const connectUrl = new URL(
+      `/play?${connectQuery.toString()}`, this.playOpts.serverLoc
+    )
+    connectUrl.protocol = connectUrl.protocol === 'https:'
+      ? 'wss:'
+      : 'ws:'
+
+    return connectUrl
+  }
+
+  /**
+   * Creates a CWDTP connection to the server. The connection only becomes the
+   * current connection once it is open.
    * @param {string} url The URl to connect to.
-   * @returns {Promise<void>}
+   * @returns {Promise<WSConn>}
    * @private
    */
   _connect (url) {
-    const self = this
-
     return new Promise((resolve, reject) => {
-      this.conn = new WSConn(url, {
+      const conn = new WSConn(url, {
         crypto,
         pingTimeout: 30 * 1000,
         createWs: (...args) => new WebSocket(...args)
       })
-      this.conn.on('open', () => {
+      let opened = false
+
+      conn.on('open', () => {
         debug('Connection opened')
-        resolve()
+        opened = true
+        this.conn = conn
+        this.connected = true
+        resolve(conn)
       })
-      this.conn.on('error', function onError (err) {
-        reject(err)
-        self.conn.removeListener('error', onError)
+      conn.on('error', err => {
+        if (!opened) {
+          reject(err)
+          return
+        }
+
+        debug('Connection error: %O', err)
+        this._onDisconnect(conn)
+      })
+      conn.on('close', () => {
+        if (!opened) {
+          reject(new Error('Connection closed before it was opened.'))
+          return
+        }
+
+        debug('Connection closed')
+        this._onDisconnect(conn)
       })
     })
   }
 
+  /**
+   * Closes a connection, without triggering a reconnect.
+   * @param {WSConn|null} [conn] The connection to close. Defaults to the
+   * current connection.
+   * @private
+   */
+  _closeConn (conn = this.conn) {
+    if (conn === this.conn) {
+      this.conn = null
+      this.connected = false
+    }
+    if (conn) {
+      conn.close(1000, 'Player left the game.')
+    }
+  }
+
+  /**
+   * Called when the specified connection is lost.
+   * @param {WSConn} conn The connection that was lost.
+   * @private
+   */
+  _onDisconnect (conn) {
+    if (this.stopped || conn !== this.conn) {
+      // We're either shutting down on purpose, or this connection was
+      // abandoned already.
+      return
+    }
+
+    debug('Lost connection to server')
+
+    this.conn = null
+    this.connected = false
+    if (!this.game) {
+      // The game is still being set up. Whatever is setting it up will find
+      // out that the connection was lost.
+      return
+    }
+
+    this.game.destroy()
+    this.game = null
+    this._toggleMenu(false)
+    this.reconnectAttempts = 0
+    this._reconnect()
+  }
+
+  /**
+   * Schedules an attempt to reconnect to the server, with exponential backoff.
+   * Shows an error once too many attempts have failed.
+   * @private
+   */
+  _reconnect () {
+    if (this.reconnecting) {
+      return
+    }
+    if (this.reconnectAttempts >= reconnection.MAX_ATTEMPTS) {
+      debug('Giving up after %d reconnection attempts', this.reconnectAttempts)
+      this.error = new Error('Lost connection to the server.')
+      this._showError(true)
+      return
+    }
+
+    const delay = Math.min(
+      reconnection.BASE_DELAY * 2 ** this.reconnectAttempts,
+      reconnection.MAX_DELAY
+    )
+    this.reconnectAttempts++
+    this._showReconnecting(
+      `Connection lost. Reconnecting (attempt ${this.reconnectAttempts} ` +
+      `of ${reconnection.MAX_ATTEMPTS})...`
+    )
+
+    debug('Reconnecting in %dms', delay)
+    this.reconnecting = true
+    this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null
+      try {
+        // Authorization can only be used once, so we need a new one.
+        this.playOpts.auth = await PlayService.getGameAuth(
+          this.playOpts.serverLoc, this.playOpts
+        )
+        await this._startGame()
+      } catch (ex) {
+        debug('Reconnection attempt failed: %O', ex)
+        this.reconnecting = false
+        if (!this.stopped) {
+          this._reconnect()
+        }
+        return
+      }
+
+      this.reconnecting = false
+      if (this.stopped) {
+        return
+      }
+
+      debug('Reconnected')
+      this.reconnectAttempts = 0
+      this._showReconnecting(null)
+    }, delay)
+  }
+
   /**
    * Initializes the game canvas.
    * @private
@@ -159,37 +409,77 @@ export default class PlayApp {
       throw new TypeError('Invalid game canvas!')
     }
 
-    this.canvas.width = this.vwDimensions.width
-    this.canvas.height = this.vwDimensions.height
+    // The canvas is sized by the game's renderer.
     this.canvas.style.display = 'block'
-
-    this.vwDimensions.on('update', () => {
-      this.canvas.width = this.vwDimensions.width
-      this.canvas.height = this.vwDimensions.height
-    })
   }
 
   /**
    * Emits the "ready" event to tell the server that we're ready.
    * Also returns some data the client will need to run the game.
+   * @param {WSConn} conn The connection to emit the event on.
    * @returns {Promise<MapData>}
    * @private
    */
-  _emitReady () {
+  _emitReady (conn) {
     return new Promise((resolve, reject) => {
+      const onReadyAck = mapData => {
+        clearTimeout(readyAckTimeout)
+        debug('Map data: %O', mapData)
+        resolve(mapData)
+      }
       const readyAckTimeout = setTimeout(() => {
+        conn.messages.removeListener(communications.CONN_READY_ACK, onReadyAck)
         reject(new Error('Ready acknowledgement timeout!'))
       }, 10000)
 
-      this.conn.send(communications.CONN_READY)
-      this.conn.messages.on(communications.CONN_READY_ACK, mapData => {
-        clearTimeout(readyAckTimeout)
-        debug('Map data: %O', mapData)
-        resolve(mapData)
-      })
+      conn.messages.once(communications.CONN_READY_ACK, onReadyAck)
+      conn.send(communications.CONN_READY)
     })
   }
 
+  /**
+   * Connects to the server, and starts a new game with the connection.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startGame () {
+    const conn = await this._connect(this._getConnectUrl().href)
+
+    let game = null
+    try {
+      const mapData = await this._emitReady(conn)
+      game = await Game.create({
+        context: this.canvas.getContext('2d'),
+        vwDimensions: this.vwDimensions,
+        conn,
+        keyBindings: SettingsService.getKeyBindings(),
+        graphicsSettings: SettingsService.getGraphicsSettings(),
+        hudElement: document.getElementById('game-hud'),
+        onLoadProgress: progress => this._showLoadProgress(progress),
+        spectating: Boolean(this.playOpts.spectate),
+        mapData
+      })
+    } catch (ex) {
+      // Only close the connection this attempt opened.
+      this._closeConn(conn)
+      throw ex
+    }
+
+    if (this.stopped || conn !== this.conn) {
+      // We were stopped, or lost the connection, while the game was being
+      // set up.
+      game.destroy()
+      this._closeConn(conn)
+      if (!this.stopped) {
+        throw new Error('Connection closed while the game was being set up.')
+      }
+      return
+    }
+
+    this.game = game
+    this.game.start()
+  }
+
   /**
    * Initializes the play app.
    * @param {PlayOpts} opts Play options.
@@ -203,23 +493,13 @@ export default class PlayApp {
    * Starts this Play application.
    */
   start () {
-    // Step 1: construct connection URL and query.
-    let connectQuery = null
-    let connectUrl = null
+    this.stopped = false
+    this.reconnectAttempts = 0
 
     try {
-      connectQuery = new URLSearchParams({
-        auth: this.playOpts.auth,
-        game: this.playOpts.gameID,
-        playername: this.playOpts.playerName,
-        playerteam: this.playOpts.playerTeam
-      })
-      connectUrl = new URL(
-        `/play?${connectQuery.toString()}`, this.playOpts.serverLoc
-      )
-      connectUrl.protocol = connectUrl.protocol === 'https:'
-        ? 'wss:'
-        : 'ws:'
+      this._initCanvas()
+      // Make sure the connection URL could be constructed.
+      this._getConnectUrl()
     } catch (ex) {
       console.error(ex)
       this.error = new Error('Something went wrong. Please try again later.')
@@ -227,24 +507,28 @@ export default class PlayApp {
       return
     }
 
-    // Step 2: connect to the server.
-    this._connect(connectUrl.href)
-      .then(() => this._initCanvas())
-      .then(() => this._emitReady())
-      .then(mapData => {
-        return Game.create({
-          context: this.canvas.getContext('2d'),
-          vwDimensions: this.vwDimensions,
-          conn: this.conn,
-          mapData
-        })
-      })
-      .then(game => { this.game = game })
-      .then(() => this.game.start())
+    document.addEventListener('keydown', this._onDocumentKeyDown)
+    document.getElementById('game-menu-button')
+      .addEventListener('click', this._onMenuButtonClick)
+    document.getElementById('game-menu__resume-button')
+      .addEventListener('click', this._onResumeButtonClick)
+    document.getElementById('game-menu__hud-button')
+      .addEventListener('click', this._onHudButtonClick)
+    document.getElementById('game-menu__leave-button')
+      .addEventListener('click', this._onLeaveButtonClick)
+    document.getElementById('error-screen__return-button')
+      .addEventListener('click', this._onLeaveButtonClick)
+
+    this._startGame()
       .then(() => {
+        if (this.stopped) {
+          return
+        }
+
         // Hide loading screen.
         const loadingElem = document.getElementById('loading-screen')
         loadingElem.classList.add('hidden')
+        this._showLoadProgress(null)
 
         // Show the main and play app.
         const appMain = document.getElementById('app-main')
@@ -253,12 +537,72 @@ export default class PlayApp {
         appMain.classList.remove('hidden')
         playMain.classList.remove('hidden')
       })
+      .catch(err => {
+        if (this.stopped) {
+          return
+        }
+
+        console.error(err)
+        this.error = new Error('Failed to connect to the game. Please try again later.')
+        this._showError(true)
+      })
+  }
+
+  /**
+   * Leaves the current game, and goes back to the lobby.
+   */
+  leave () {
+    debug('Leaving game')
+    this.setPage(constants.APP_PAGES.LOBBY)
   }
 
   /**
-   * Stops this Play application.
+   * Stops this Play application, closes the connection to the server, and
+   * cleans up everything the game used.
    */
   stop () {
-    this.game.stop()
+    this.stopped = true
+    clearTimeout(this.reconnectTimeout)
+    this.reconnectTimeout = null
+    this.reconnectAttempts = 0
+    this.reconnecting = false
+
+    // Step 1: tear down the game and the connection.
+    if (this.game) {
+      this.game.destroy()
+      this.game = null
+    }
+    this._closeConn()
+
+    // Step 2: detach event listeners.
+    document.removeEventListener('keydown', this._onDocumentKeyDown)
+    document.getElementById('game-menu-button')
+      .removeEventListener('click', this._onMenuButtonClick)
+    document.getElementById('game-menu__resume-button')
+      .removeEventListener('click', this._onResumeButtonClick)
+    document.getElementById('game-menu__hud-button')
+      .removeEventListener('click', this._onHudButtonClick)
+    document.getElementById('game-menu__leave-button')
+      .removeEventListener('click', this._onLeaveButtonClick)
+    document.getElementById('error-screen__return-button')
+      .removeEventListener('click', this._onLeaveButtonClick)
+
+    // Step 3: hide the play app, and show the loading screen.
+    const appMain = document.getElementById('app-main')
+    appMain.classList.remove('app-main--play')
+    appMain.classList.add('hidden')
+    document.getElementById('play-main').classList.add('hidden')
+    document.getElementById('error-screen').classList.add('hidden')
+    document.getElementById('error-screen__return-button').classList.add('hidden')
+    this._toggleMenu(false)
+    this._showReconnecting(null)
+    if (this.canvas) {
+      this.canvas.style.display = 'none'
+    }
+    document.getElementById('loading-screen').classList.remove('hidden')
+    this._showLoadProgress(null)
+
+    this.error = null
+    debug('Play app stopped')
   }
 }
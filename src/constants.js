@@ -37,13 +37,116 @@ const constants = deepFreeze({
   },
   GAME_CONSTANTS: {
     VIEWPORT_STICKINESS: 0.004,
+    ZOOM: {
+      MIN: 0.25,
+      MAX: 2,
+      // How much of the way to the target zoom level is covered every millisecond.
+      SMOOTHING: 0.015,
+      // How much the zoom level changes for every 100 pixels scrolled.
+      WHEEL_FACTOR: 1.15,
+      // How much the zoom level changes every second while a zoom key is held.
+      KEY_FACTOR: 2
+    },
+    GAMEPAD: {
+      // How far a stick has to be pushed (from 0 to 1) before it counts.
+      DEAD_ZONE: 0.25
+    },
+    SPECTATOR: {
+      // How fast the camera pans, in CSS pixels per millisecond.
+      PAN_SPEED: 0.8,
+      // How close to the edge of the canvas, in CSS pixels, the mouse has to
+      // be to pan the camera.
+      EDGE_SIZE: 20
+    },
     DRAWING_TILE_SIZE: 100,
+    // Used if the server doesn't tell us its tick rate.
+    DEFAULT_TICK_RATE: 30,
+    // The longest frame, in milliseconds, that the game will try to catch up on.
+    MAX_FRAME_TIME: 250,
+    // How often the HUD is updated, in milliseconds.
+    HUD_UPDATE_INTERVAL: 250,
+    // The width and height of a player's collision box. Keep this in sync
+    // with the server.
+    PLAYER_SIZE: 40,
+    // Dimensions are in CSS pixels.
+    MINIMAP: {
+      SIZE: 160,
+      MARGIN: 10
+    },
+    MAP_CHUNKS: {
+      // Used if the graphics settings don't specify a chunk size.
+      DEFAULT_SIZE: 500,
+      // The least number of chunks to keep in memory.
+      MIN_CACHE_SIZE: 16,
+      // How many chunks may be rendered at the same time.
+      MAX_PENDING: 2
+    },
+    INTERPOLATION: {
+      // How far in the past, in milliseconds, remote entities are rendered.
+      DELAY: 100,
+      // How long, in milliseconds, we may guess where a remote entity is going
+      // once we've run out of snapshots.
+      MAX_EXTRAPOLATION: 250,
+      // The maximum number of snapshots to keep per remote entity.
+      BUFFER_SIZE: 30
+    },
+    ANIMATION: {
+      // How long every frame of an animation is shown, in milliseconds.
+      FRAME_DURATION: 100,
+      // Animations that stop on their last frame instead of looping.
+      NON_LOOPING: ['die']
+    },
+    RECONCILIATION: {
+      // How long, in milliseconds, it takes for most of a misprediction to be
+      // smoothed out.
+      SMOOTHING_TIME: 100,
+      // Mispredictions larger than this many pixels are snapped to immediately.
+      SNAP_DISTANCE: 200
+    },
+    DEFAULT_GRAPHICS_SETTINGS: {
+      // Multiplier for the resolution the game is rendered at.
+      renderScale: 1,
+      // Whether to render at the display's native resolution on high-DPI displays.
+      useDevicePixelRatio: true,
+      // Maximum frames per second. 0 means no limit.
+      fpsCap: 0,
+      showDebugOverlay: false,
+      // Size of the map chunks, in pixels. 0 means the default size is used.
+      chunkSize: 0
+    },
     DEFAULT_KEY_BINDINGS: {
       directionBindings: {
         up: ['w', 'W', 'Up', 'ArrowUp'],
         down: ['s', 'S', 'Down', 'ArrowDown'],
         left: ['a', 'A', 'Left', 'ArrowLeft'],
         right: ['d', 'D', 'Right', 'ArrowRight']
+      },
+      // Mouse buttons for selecting and giving orders.
+      mouseBindings: {
+        primary: ['left'],
+        secondary: ['right']
+      },
+      zoomBindings: {
+        zoomIn: ['+', '='],
+        zoomOut: ['-', '_']
+      },
+      // Only used while spectating.
+      spectatorBindings: {
+        followNext: ['e'],
+        followPrevious: ['q']
+      },
+      // Gamepad controls are named after the buttons of an Xbox controller.
+      gamepadBindings: {
+        up: ['leftStickUp', 'dpadUp'],
+        down: ['leftStickDown', 'dpadDown'],
+        left: ['leftStickLeft', 'dpadLeft'],
+        right: ['leftStickRight', 'dpadRight'],
+        primary: ['rt'],
+        secondary: ['lt'],
+        zoomIn: ['rb'],
+        zoomOut: ['lb'],
+        followNext: ['y'],
+        followPrevious: ['x']
       }
     }
   },
@@ -53,15 +156,33 @@ const constants = deepFreeze({
     CONN_READY_ACK: 'ready-ack',
     CONN_CLIENT_ACTION: 'client-action'
   },
+  RECONNECTION: {
+    MAX_ATTEMPTS: 5,
+    // The delay before the first attempt, in milliseconds. Every subsequent
+    // attempt waits twice as long as the last, up to MAX_DELAY.
+    BASE_DELAY: 1000,
+    MAX_DELAY: 16000
+  },
   APP_PAGES: {
     UNSET: Symbol('UNSET'),
     LOBBY: Symbol('LOBBY'),
     PLAY: Symbol('PLAY')
   },
+  // URL patterns for the pages of the app. See ``helpers/router.js``.
+  ROUTES: {
+    LOBBY: '/',
+    // The location of the server is in the ``server`` query parameter.
+    PLAY: '/play/:gameId'
+  },
   PLAY_DIALOG_STATES: {
     SERVER_PICKER: Symbol('SERVER_PICKER'),
     GAME_PICKER: Symbol('GAME_PICKER')
   },
+  // These match the ``data-tab`` attributes of the settings dialog's tab buttons.
+  SETTINGS_TABS: {
+    KEY_BINDINGS: 'key-bindings',
+    GRAPHICS: 'graphics'
+  },
   ROOT_FONT_SIZE: parseInt(window.getComputedStyle(document.body).fontSize, 10)
 })
 
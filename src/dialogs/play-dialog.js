@@ -57,6 +57,7 @@ const selectGameForm = (() => {
  * @prop {(err: Error) => void} fatalError
  * @prop {() => Array<CWServerStatus>} getServers
  * @prop {(opts: PlayOpts) => void} play
+ * @prop {() => void} [onClose] Called when the user closes the dialog.
  * @prop {import('../helpers/image-helpers').ImageLoader} imgLoader
  * @prop {import('../helpers/display-utils').ViewportDimensions} vwDimensions
  */
@@ -87,13 +88,14 @@ export default class PlayDialog {
    */
   constructor (opts) {
     const {
-      vwDimensions, fatalError, getServers, imgLoader, play
+      vwDimensions, fatalError, getServers, imgLoader, play, onClose
     } = opts
     this.vwDimensions = vwDimensions
     this.fatalError = fatalError
     this.getServers = getServers
     this.imgLoader = imgLoader
     this.play = play
+    this.onClose = onClose || (() => {})
 
     this.dialog = new Dialog('play')
     this.state = PlayDialogStates.SERVER_PICKER
@@ -118,8 +120,14 @@ export default class PlayDialog {
       gameID: null,
       serverLoc: null,
       playerName: null,
-      playerTeam: null
+      playerTeam: null,
+      spectate: false
     }
+    /**
+     * The server and game to preselect, if any.
+     * @type {import('../apps/app').DeepLink|null}
+     */
+    this.deepLink = null
     /** @type {Selectmenu} */
     this.serverSelect = null
     /** @type {Selectmenu} */
@@ -154,6 +162,16 @@ export default class PlayDialog {
     }
     debug('Input passed validation.')
 
+    this._showGamePicker(data.name, data.server)
+  }
+
+  /**
+   * Loads the games on the specified server, and switches to the game picker.
+   * @param {string} name The name of the player.
+   * @param {string} server The location of the server.
+   * @private
+   */
+  _showGamePicker (name, server) {
     // Set dialog content to ``Loading``.
     this.dialog.setContent(loadingTxt.cloneNode(true), false)
     this.dialog.update(this.vwDimensions)
@@ -161,7 +179,7 @@ export default class PlayDialog {
     ;(async () => {
       // Try fetching the games list first, and THEN modify the play dialog state.
       try {
-        this.games.push(...await loaders.loadGamesListFrom(data.server))
+        this.games.push(...await loaders.loadGamesListFrom(server))
       } catch (ex) {
         console.error(ex.stack)
         this.fatalError(new Error([
@@ -172,8 +190,8 @@ export default class PlayDialog {
       }
 
       this.state = PlayDialogStates.GAME_PICKER
-      this.playOpts.playerName = data.name
-      this.playOpts.serverLoc = data.server
+      this.playOpts.playerName = name
+      this.playOpts.serverLoc = server
       this.show()
     })()
   }
@@ -183,7 +201,25 @@ export default class PlayDialog {
    */
   _onPlay () {
     debug('Play clicked')
+    this._joinGame(false)
+  }
 
+  /**
+   * @private
+   */
+  _onSpectate () {
+    debug('Spectate clicked')
+    this._joinGame(true)
+  }
+
+  /**
+   * Validates the selected game (and team), gets authorization from the
+   * server, and joins the game.
+   * @param {boolean} spectate Whether to join as a spectator. Spectators don't
+   * need to pick a team.
+   * @private
+   */
+  _joinGame (spectate) {
     this.errorDisplayer.setElem(document.getElementById('select-game__error-span'))
     this.errorDisplayer.undisplay()
 
@@ -196,7 +232,9 @@ export default class PlayDialog {
     }
     debug('Game data: %O; Team selected: %s', JSON.parse(data.game), data.team)
 
-    const result = PlayService.validateGamePickerData(data, this.teams.map(t => t.name))
+    const result = spectate
+      ? PlayService.validateSpectatorPickerData(data)
+      : PlayService.validateGamePickerData(data, this.teams.map(t => t.name))
     if (result.error) {
       debug('Input failed validation. Error is: %O', result.error)
       if (!data.game) {
@@ -211,7 +249,8 @@ export default class PlayDialog {
     /** @type {GameInfo} */
     const gameInfo = JSON.parse(data.game)
     this.playOpts.gameID = gameInfo.id
-    this.playOpts.playerTeam = data.team
+    this.playOpts.playerTeam = spectate ? null : data.team
+    this.playOpts.spectate = spectate
 
     ;(async () => {
       try {
@@ -234,6 +273,7 @@ export default class PlayDialog {
     // Reset state.
     this.reset()
     this.hide()
+    this.onClose()
   }
 
   /**
@@ -324,11 +364,15 @@ export default class PlayDialog {
       .set('width', SELECTMENU_DIMENSIONS.width)
       .set('show', true)
 
+    const linkedServer = servers.findIndex(server => (
+      server.available && server.location === this.deepLink?.server
+    ))
+
     for (const [i, server] of servers.entries()) {
       select.options.set(`server-${i}`, {
         value: server.location,
         content: server.name,
-        selected: i === 0,
+        selected: linkedServer === -1 ? i === 0 : i === linkedServer,
         disabled: !server.available
       })
     }
@@ -353,7 +397,7 @@ export default class PlayDialog {
 
     for (const [i, game] of games.entries()) {
       radioList.setRadioButton(`game-${i}`, {
-        checked: false,
+        checked: String(game.id) === this.deepLink?.gameId,
         value: JSON.stringify(game),
         labelContent: game.name,
         disabled: game.capacity.current === game.capacity.max
@@ -414,8 +458,10 @@ export default class PlayDialog {
       // Server picker, so we'll need to add a "Next" button.
       this.dialog.buttons.set('Next', this._onNext)
     } else {
-      // Game picker, so we'll need to add a "Play" button
+      // Game picker, so we'll need to add a "Play" button, and a "Spectate"
+      // button for watching the game without joining it.
       this.dialog.buttons.set('Play', this._onPlay)
+      this.dialog.buttons.set('Spectate', this._onSpectate)
     }
 
     // We always need a Cancel button.
@@ -449,6 +495,11 @@ export default class PlayDialog {
     }
 
     this.dialog.setContent(content, false)
+
+    if (this.state === PlayDialogStates.GAME_PICKER && this.gamesList.selected) {
+      // A game was preselected, so show its info.
+      this._onSelectedGameChange({ inputValue: this.gamesList.selected })
+    }
   }
 
   /**
@@ -486,6 +537,7 @@ export default class PlayDialog {
     // Bind event listeners.
     this._onNext = this._onNext.bind(this)
     this._onPlay = this._onPlay.bind(this)
+    this._onSpectate = this._onSpectate.bind(this)
     this._onClose = this._onClose.bind(this)
     this._onSelectedGameChange = this._onSelectedGameChange.bind(this)
 
@@ -506,6 +558,38 @@ export default class PlayDialog {
     this.dialog.update(this.vwDimensions)
   }
 
+  /**
+   * Show this Play dialog, with the server and game in the specified link
+   * preselected.
+   *
+   * If the player's name has already been entered, the dialog skips straight
+   * to the game picker. Otherwise, the player has to enter their name first.
+   * @param {import('../apps/app').DeepLink} link The server and game to
+   * preselect.
+   */
+  showDeepLink (link) {
+    this.reset()
+    this.deepLink = link
+
+    const data = {
+      name: selectServerForm.querySelector('#name-input').value,
+      server: link.server
+    }
+    const servers = this.getServers() || []
+    const serverAvailable = servers.some(server => (
+      server.available && server.location === link.server
+    ))
+
+    if (!serverAvailable || PlayService.validateServerPickerData(data).error) {
+      this.show()
+      return
+    }
+
+    this._setButtons()
+    this.dialog.set('show', true)
+    this._showGamePicker(data.name, data.server)
+  }
+
   /**
    * Hide this Play dialog.
    */
@@ -523,6 +607,7 @@ export default class PlayDialog {
    */
   reset () {
     this.state = PlayDialogStates.SERVER_PICKER
+    this.deepLink = null
     this.playOpts = Object.fromEntries(
       Object.entries(this.playOpts).map(([key]) => [key, null])
     )
@@ -0,0 +1,709 @@
+/* eslint-env browser */
+/**
+ * @fileoverview SettingsDialog component to manage the ``Settings`` dialog
+ * rendering and state.
+ */
+
+import debugFactory from 'debug'
+
+import constants from '../constants.js'
+import Dialog from '../ui/dialog.js'
+import InputTracker from '../game/input/input-tracker.js'
+import GamepadTracker from '../game/input/gamepad-tracker.js'
+
+import { centerPos, ErrorDisplayer } from '../helpers/display-utils.js'
+import { removeAllChildNodes } from '../helpers/dom-helpers.js'
+
+import * as SettingsService from '../services/settings-service.js'
+
+const debug = debugFactory('cw-client:settings-dialog')
+const SettingsTabs = constants.SETTINGS_TABS
+
+const settingsForm = (() => {
+  const settingsForm = document.getElementById('settings-dialog-form')
+  if (settingsForm.parentNode) {
+    settingsForm.parentNode.removeChild(settingsForm)
+  }
+
+  return settingsForm
+})()
+
+/**
+ * @typedef {import('../game/game.js').GameKeyBindings} GameKeyBindings
+ * @typedef {import('../game/game.js').GraphicsSettings} GraphicsSettings
+ * @typedef {'up'|'down'|'left'|'right'} DirectionAction
+ *
+ * @typedef {'keys'|'mouse'|'gamepad'} BindingDevice
+ * @typedef {keyof GameKeyBindings} BindingCategory
+ *
+ * @typedef {Object} KeyCapture
+ * @prop {BindingDevice} device Whether to capture a key, a mouse button, or a
+ * gamepad control.
+ * @prop {BindingCategory} category The category of bindings the action is in.
+ * @prop {string} action The action the captured key will be bound to.
+ * @prop {number} index The index of the key that will be replaced. If this is
+ * equal to the number of keys bound to the action, a new key is added.
+ *
+ * @typedef {Object} SettingsDialogProps
+ * @prop {import('../helpers/display-utils').ViewportDimensions} vwDimensions
+ */
+
+const SETTINGS_DIALOG_DIMENSIONS = Object.freeze({
+  width: constants.ROOT_FONT_SIZE * 30,
+  height: constants.ROOT_FONT_SIZE * 30
+})
+const SETTINGS_DIALOG_MIN_DIMENSIONS = Object.freeze({
+  width: constants.ROOT_FONT_SIZE * 25,
+  height: constants.ROOT_FONT_SIZE * 22
+})
+const ACTION_NAMES = Object.freeze({
+  up: 'Move up',
+  down: 'Move down',
+  left: 'Move left',
+  right: 'Move right',
+  primary: 'Primary action',
+  secondary: 'Secondary action',
+  zoomIn: 'Zoom in',
+  zoomOut: 'Zoom out',
+  followNext: 'Follow next player',
+  followPrevious: 'Follow previous player'
+})
+/**
+ * The categories of bindings of every device. Everything bound with the same
+ * device has to be unique across all of its categories.
+ * @type {Readonly<Record<BindingDevice, ReadonlyArray<BindingCategory>>>}
+ */
+const DEVICE_CATEGORIES = Object.freeze({
+  keys: Object.freeze(['directionBindings', 'zoomBindings', 'spectatorBindings']),
+  mouse: Object.freeze(['mouseBindings']),
+  gamepad: Object.freeze(['gamepadBindings'])
+})
+/**
+ * The names of mouse buttons, by their ``MouseEvent.button`` value.
+ */
+const MOUSE_BUTTON_NAMES = Object.freeze(['left', 'middle', 'right'])
+const CAPTURE_PROMPTS = Object.freeze({
+  keys: 'Press a key...',
+  mouse: 'Click a button...',
+  gamepad: 'Press a control...'
+})
+
+/**
+ * Gets a human-readable name for the specified key.
+ * @param {string} key The key, as reported by the InputTracker.
+ * @returns {string}
+ */
+function keyName (key) {
+  if (key === ' ') {
+    return 'Space'
+  }
+
+  return `${key.charAt(0).toUpperCase()}${key.slice(1)}`
+}
+
+/**
+ * Gets a human-readable name for the specified mouse button.
+ * @param {string} button The mouse button.
+ * @returns {string}
+ */
+function mouseButtonName (button) {
+  return `${keyName(button)} button`
+}
+
+/**
+ * Gets a human-readable name for the specified gamepad control.
+ * @param {string} control The control, as reported by the GamepadTracker.
+ * @returns {string}
+ */
+function controlName (control) {
+  if (/^[a-z]{1,2}$/.test(control)) {
+    // Short button names, like "A" or "LB".
+    return control.toUpperCase()
+  }
+
+  const words = control.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`)
+  return `${words.charAt(0).toUpperCase()}${words.slice(1)}`
+}
+
+/**
+ * Creates a copy of the specified key bindings that is safe to modify. All keys
+ * are converted to lowercase, and duplicate keys are removed.
+ * @param {GameKeyBindings} bindings The key bindings to copy.
+ * @returns {GameKeyBindings}
+ */
+function copyKeyBindings (bindings) {
+  return Object.fromEntries(
+    Object.entries(bindings).map(([category, actions]) => {
+      // Gamepad controls and mouse buttons are case-sensitive.
+      const isKeys = DEVICE_CATEGORIES.keys.includes(category)
+
+      return [category, Object.fromEntries(
+        Object.entries(actions).map(([action, keys]) => [
+          action,
+          [...new Set(isKeys ? keys.map(key => key.toLowerCase()) : keys)]
+        ])
+      )]
+    })
+  )
+}
+
+/**
+ * SettingsDialog class/component.
+ */
+export default class SettingsDialog {
+  /**
+   * Create a new SettingsDialog object.
+   *
+   * A SettingsDialog object manages the rendering and state of the settings
+   * dialog.
+   * @param {SettingsDialogProps} opts Options.
+   */
+  constructor (opts) {
+    this.vwDimensions = opts.vwDimensions
+
+    this.dialog = new Dialog('settings')
+    this.tab = SettingsTabs.KEY_BINDINGS
+    this.errorDisplayer = new ErrorDisplayer({
+      elem: null,
+      classes: ['error']
+    })
+    this.tracker = new InputTracker()
+    this.gamepadTracker = new GamepadTracker()
+    /**
+     * The ID of the animation frame that will poll the gamepad next, while a
+     * gamepad control is being captured.
+     * @type {number|null}
+     */
+    this.gamepadPollID = null
+
+    /**
+     * The key bindings being edited.
+     * @type {GameKeyBindings}
+     */
+    this.keyBindings = null
+    /**
+     * The graphics settings being edited.
+     * @type {GraphicsSettings}
+     */
+    this.graphicsSettings = null
+    /**
+     * The key that is currently being captured, if any.
+     * @type {KeyCapture|null}
+     */
+    this.capturing = null
+  }
+
+  /**
+   * Called on every ``keydown`` event while this dialog is shown.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _onDocumentKeyDown (e) {
+    if (!this.capturing) {
+      return
+    }
+
+    // Don't let the key do anything else while we're capturing it.
+    e.preventDefault()
+    this.tracker.onKeyDown(e)
+  }
+
+  /**
+   * Called on every ``mousedown`` event while this dialog is shown.
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onDocumentMouseDown (e) {
+    if (!this.capturing || this.capturing.device !== 'mouse') {
+      return
+    }
+
+    // The button shouldn't click on anything while we're capturing it.
+    e.preventDefault()
+    e.stopPropagation()
+    if (MOUSE_BUTTON_NAMES[e.button]) {
+      this._bindCaptured(MOUSE_BUTTON_NAMES[e.button], mouseButtonName)
+    }
+  }
+
+  /**
+   * Called on every ``contextmenu`` event while this dialog is shown.
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onDocumentContextMenu (e) {
+    if (this.capturing && this.capturing.device === 'mouse') {
+      // The right button could be captured.
+      e.preventDefault()
+    }
+  }
+
+  /**
+   * Called on every ``keyup`` event while this dialog is shown.
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _onDocumentKeyUp (e) {
+    this.tracker.onKeyUp(e)
+  }
+
+  /**
+   * Called when a key has been pressed while capturing. Escape cancels the
+   * capture, even if a gamepad control is being captured.
+   * @param {string} key The key that was pressed.
+   * @private
+   */
+  _onKeyCaptured (key) {
+    const capture = this.capturing
+    if (!capture) {
+      return
+    }
+
+    if (key === 'escape') {
+      // Cancel.
+      this._stopCapture()
+      this.errorDisplayer.undisplay()
+      this._renderKeyBindings()
+      return
+    }
+    if (capture.device !== 'keys') {
+      return
+    }
+
+    this._bindCaptured(key, keyName)
+  }
+
+  /**
+   * Called when a gamepad control has been pressed while capturing.
+   * @param {string} control The control that was pressed.
+   * @private
+   */
+  _onControlCaptured (control) {
+    if (!this.capturing || this.capturing.device !== 'gamepad') {
+      return
+    }
+
+    this._bindCaptured(control, controlName)
+  }
+
+  /**
+   * Binds a captured key, mouse button, or gamepad control to the action being
+   * captured for, unless it's already bound to another action of any category.
+   * @param {string} key The key, button, or control that was captured.
+   * @param {(key: string) => string} getName Gets a human-readable name for
+   * the key, button, or control.
+   * @private
+   */
+  _bindCaptured (key, getName) {
+    const capture = this.capturing
+
+    this._stopCapture()
+    this.errorDisplayer.undisplay()
+
+    const conflict = DEVICE_CATEGORIES[capture.device]
+      .flatMap(category => Object.entries(this.keyBindings[category]))
+      .find(([action, keys]) => action !== capture.action && keys.includes(key))
+      ?.[0]
+    if (conflict) {
+      debug('Key "%s" conflicts with action "%s"', key, conflict)
+      this.errorDisplayer.display(new Error(
+        `${getName(key)} is already bound to "${ACTION_NAMES[conflict] || conflict}".`
+      ))
+      this._renderKeyBindings()
+      return
+    }
+
+    const keys = this.keyBindings[capture.category][capture.action]
+    const existing = keys.indexOf(key)
+    if (existing === -1) {
+      keys[capture.index] = key
+    } else if (existing !== capture.index && capture.index < keys.length) {
+      // The key is already bound to this action, so the old key just goes away.
+      keys.splice(capture.index, 1)
+    }
+
+    debug('Bound key "%s" to action "%s"', key, capture.action)
+    this._renderKeyBindings()
+  }
+
+  /**
+   * Polls the gamepad every frame until the capture is over.
+   * @private
+   */
+  _pollGamepad () {
+    this.gamepadTracker.poll()
+
+    if (this.capturing && this.capturing.device === 'gamepad') {
+      this.gamepadPollID = window.requestAnimationFrame(this._pollGamepad)
+    }
+  }
+
+  /**
+   * Starts capturing a key or gamepad control for the specified action.
+   * @param {KeyCapture} capture What to capture.
+   * @private
+   */
+  _startCapture (capture) {
+    this._stopCapture()
+
+    if (capture.device === 'gamepad') {
+      // Controls that are already held down when capturing starts shouldn't
+      // be captured.
+      this.gamepadTracker.poll()
+      this.gamepadPollID = window.requestAnimationFrame(this._pollGamepad)
+    }
+
+    this.capturing = capture
+    this.errorDisplayer.undisplay()
+    this._renderKeyBindings()
+  }
+
+  /**
+   * Stops capturing, if anything is being captured.
+   * @private
+   */
+  _stopCapture () {
+    window.cancelAnimationFrame(this.gamepadPollID)
+    this.gamepadPollID = null
+    this.capturing = null
+  }
+
+  /**
+   * Called when a tab button is clicked.
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onTabClick (e) {
+    e.preventDefault()
+    this.tab = e.currentTarget.dataset.tab
+    this._renderTabs()
+  }
+
+  /**
+   * Reads the graphics settings from the Graphics tab's inputs.
+   * @returns {GraphicsSettings}
+   * @private
+   */
+  _readGraphicsSettings () {
+    return {
+      renderScale: Number(settingsForm.querySelector('#render-scale-selectmenu').value),
+      useDevicePixelRatio: settingsForm.querySelector('#device-pixel-ratio-checkbox').checked,
+      fpsCap: Number(settingsForm.querySelector('#fps-cap-selectmenu').value),
+      showDebugOverlay: settingsForm.querySelector('#debug-overlay-checkbox').checked,
+      chunkSize: Number(settingsForm.querySelector('#chunk-size-input').value)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onSave () {
+    debug('Save clicked')
+
+    this.errorDisplayer.undisplay()
+
+    const bindingsResult = SettingsService.validateKeyBindings(this.keyBindings)
+    if (bindingsResult.error) {
+      debug('Key bindings failed validation. Error is: %O', bindingsResult.error)
+      this.tab = SettingsTabs.KEY_BINDINGS
+      this._renderTabs()
+      this.errorDisplayer.display(
+        bindingsResult.error.details[0].type === 'keyBindings.conflict'
+          ? bindingsResult.error
+          : new Error('Every action needs at least one key.')
+      )
+      return
+    }
+
+    const graphicsResult = SettingsService.validateGraphicsSettings(
+      this._readGraphicsSettings()
+    )
+    if (graphicsResult.error) {
+      debug('Graphics settings failed validation. Error is: %O', graphicsResult.error)
+      this.tab = SettingsTabs.GRAPHICS
+      this._renderTabs()
+      this.errorDisplayer.display(graphicsResult.error)
+      return
+    }
+
+    if (
+      !SettingsService.setKeyBindings(bindingsResult.value) ||
+      !SettingsService.setGraphicsSettings(graphicsResult.value)
+    ) {
+      this.errorDisplayer.display(new Error('Settings could not be saved.'))
+      return
+    }
+
+    this.hide()
+  }
+
+  /**
+   * @private
+   */
+  _onReset () {
+    debug('Reset clicked')
+
+    this._stopCapture()
+    this.errorDisplayer.undisplay()
+    this.keyBindings = copyKeyBindings(constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS)
+    this.graphicsSettings = { ...constants.GAME_CONSTANTS.DEFAULT_GRAPHICS_SETTINGS }
+    this._renderKeyBindings()
+    this._renderGraphicsSettings()
+  }
+
+  /**
+   * Called when the user closes the Settings dialog.
+   * @private
+   */
+  _onClose () {
+    debug('Closing dialog')
+    this.hide()
+  }
+
+  /**
+   * Creates a button that displays a key, or a prompt if the key is being
+   * captured.
+   * @param {string} text The text of the button.
+   * @param {KeyCapture} capture What to capture when the button is clicked.
+   * @returns {HTMLButtonElement}
+   * @private
+   */
+  _createKeyButton (text, capture) {
+    const button = document.createElement('button')
+    const isCapturing = this.capturing &&
+      this.capturing.category === capture.category &&
+      this.capturing.action === capture.action &&
+      this.capturing.index === capture.index
+
+    button.type = 'button'
+    button.classList.add(
+      'ui-button',
+      'ui-button--small',
+      'settings-form__key-button'
+    )
+    if (isCapturing) {
+      button.classList.add('settings-form__key-button--capturing')
+    }
+    button.appendChild(document.createTextNode(
+      isCapturing ? CAPTURE_PROMPTS[capture.device] : text
+    ))
+    button.addEventListener('click', e => {
+      e.preventDefault()
+      this._startCapture(capture)
+    })
+
+    return button
+  }
+
+  /**
+   * Renders the key, mouse, and gamepad bindings tables.
+   * @private
+   */
+  _renderKeyBindings () {
+    this._renderBindingsTable(
+      settingsForm.querySelector('#key-bindings-table'), 'keys', keyName
+    )
+    this._renderBindingsTable(
+      settingsForm.querySelector('#mouse-bindings-table'), 'mouse', mouseButtonName
+    )
+    this._renderBindingsTable(
+      settingsForm.querySelector('#gamepad-bindings-table'), 'gamepad', controlName
+    )
+  }
+
+  /**
+   * Renders a table of bindings, with a row for every action that could be
+   * bound with the specified device.
+   * @param {HTMLTableElement} table The table to render into.
+   * @param {BindingDevice} device What is bound to the actions.
+   * @param {(key: string) => string} getName Gets a human-readable name for a
+   * key, button, or control.
+   * @private
+   */
+  _renderBindingsTable (table, device, getName) {
+    removeAllChildNodes(table)
+
+    const rows = DEVICE_CATEGORIES[device].flatMap(category => (
+      Object.entries(this.keyBindings[category])
+        .map(([action, keys]) => [category, action, keys])
+    ))
+    for (const [category, action, keys] of rows) {
+      const row = document.createElement('tr')
+      const label = document.createElement('td')
+      const keyCell = document.createElement('td')
+      const clearButton = document.createElement('button')
+
+      label.appendChild(document.createTextNode(ACTION_NAMES[action] || action))
+
+      keys.forEach((key, index) => {
+        keyCell.appendChild(
+          this._createKeyButton(getName(key), { device, category, action, index })
+        )
+      })
+      keyCell.appendChild(
+        this._createKeyButton('+', { device, category, action, index: keys.length })
+      )
+
+      clearButton.type = 'button'
+      clearButton.classList.add(
+        'ui-button',
+        'ui-button--small',
+        'settings-form__key-button'
+      )
+      clearButton.appendChild(document.createTextNode('Clear'))
+      clearButton.addEventListener('click', e => {
+        e.preventDefault()
+        this._stopCapture()
+        keys.splice(0)
+        this._renderKeyBindings()
+      })
+      keyCell.appendChild(clearButton)
+
+      row.appendChild(label)
+      row.appendChild(keyCell)
+      table.appendChild(row)
+    }
+  }
+
+  /**
+   * Fills in the Graphics tab's inputs.
+   * @private
+   */
+  _renderGraphicsSettings () {
+    const settings = this.graphicsSettings
+
+    settingsForm.querySelector('#render-scale-selectmenu').value = String(settings.renderScale)
+    settingsForm.querySelector('#device-pixel-ratio-checkbox').checked = settings.useDevicePixelRatio
+    settingsForm.querySelector('#fps-cap-selectmenu').value = String(settings.fpsCap)
+    settingsForm.querySelector('#debug-overlay-checkbox').checked = settings.showDebugOverlay
+    settingsForm.querySelector('#chunk-size-input').value = String(settings.chunkSize)
+  }
+
+  /**
+   * Shows the currently selected tab, and hides all the others.
+   * @private
+   */
+  _renderTabs () {
+    for (const button of settingsForm.querySelectorAll('.settings-form__tab-button')) {
+      const tab = settingsForm.querySelector(`#settings-tab__${button.dataset.tab}`)
+
+      if (button.dataset.tab === this.tab) {
+        button.classList.add('settings-form__tab-button--active')
+        tab.classList.remove('hidden')
+      } else {
+        button.classList.remove('settings-form__tab-button--active')
+        tab.classList.add('hidden')
+      }
+    }
+  }
+
+  /**
+   * Set the Settings dialog's buttons.
+   * @private
+   */
+  _setButtons () {
+    this.dialog.buttons.clear()
+    this.dialog.buttons.set('Save', this._onSave)
+    this.dialog.buttons.set('Reset', this._onReset)
+    this.dialog.buttons.set('Cancel', this._onClose)
+  }
+
+  /**
+   * Set the content of this SettingsDialog.
+   * @private
+   */
+  _setContent () {
+    settingsForm.classList.remove('hidden')
+
+    this.keyBindings = copyKeyBindings(SettingsService.getKeyBindings())
+    this.graphicsSettings = { ...SettingsService.getGraphicsSettings() }
+    this.errorDisplayer.setElem(settingsForm.querySelector('#settings__error-span'))
+    this.errorDisplayer.undisplay()
+
+    this._renderTabs()
+    this._renderKeyBindings()
+    this._renderGraphicsSettings()
+
+    this.dialog.setContent(settingsForm, false)
+  }
+
+  /**
+   * Initialize this SettingsDialog.
+   */
+  init () {
+    const dialogPosition = centerPos(SETTINGS_DIALOG_DIMENSIONS, this.vwDimensions)
+
+    this.dialog
+      .set('title', 'Settings')
+      .set('isModal', true)
+      .set('draggable', true)
+      .set('x', dialogPosition.x)
+      .set('y', dialogPosition.y)
+      .set('width', SETTINGS_DIALOG_DIMENSIONS.width)
+      .set('height', SETTINGS_DIALOG_DIMENSIONS.height)
+      .set('min-width', SETTINGS_DIALOG_MIN_DIMENSIONS.width)
+      .set('min-height', SETTINGS_DIALOG_MIN_DIMENSIONS.height)
+      .attach(document.getElementById('root'))
+      .update(this.vwDimensions)
+
+    // Bind event listeners.
+    this._onSave = this._onSave.bind(this)
+    this._onReset = this._onReset.bind(this)
+    this._onClose = this._onClose.bind(this)
+    this._onTabClick = this._onTabClick.bind(this)
+    this._onKeyCaptured = this._onKeyCaptured.bind(this)
+    this._onControlCaptured = this._onControlCaptured.bind(this)
+    this._pollGamepad = this._pollGamepad.bind(this)
+    this._onDocumentKeyUp = this._onDocumentKeyUp.bind(this)
+    this._onDocumentKeyDown = this._onDocumentKeyDown.bind(this)
+    this._onDocumentMouseDown = this._onDocumentMouseDown.bind(this)
+    this._onDocumentContextMenu = this._onDocumentContextMenu.bind(this)
+
+    this.dialog.on('closeButtonClick', this._onClose)
+    this.tracker.on('keyDown', this._onKeyCaptured)
+    this.gamepadTracker.on('controlDown', this._onControlCaptured)
+
+    for (const button of settingsForm.querySelectorAll('.settings-form__tab-button')) {
+      button.addEventListener('click', this._onTabClick)
+    }
+
+    // Just in case.
+    this.dialog.setContent(document.createTextNode('Loading...'), false)
+  }
+
+  /**
+   * Show this Settings dialog.
+   */
+  show () {
+    this._setButtons()
+    this._setContent()
+
+    document.addEventListener('keydown', this._onDocumentKeyDown)
+    document.addEventListener('keyup', this._onDocumentKeyUp)
+    // Capture, so that the button is captured before it clicks on anything.
+    document.addEventListener('mousedown', this._onDocumentMouseDown, true)
+    document.addEventListener('contextmenu', this._onDocumentContextMenu)
+
+    this.dialog.set('show', true)
+    this.dialog.update(this.vwDimensions)
+  }
+
+  /**
+   * Hide this Settings dialog. Unsaved changes are discarded.
+   */
+  hide () {
+    document.removeEventListener('keydown', this._onDocumentKeyDown)
+    document.removeEventListener('keyup', this._onDocumentKeyUp)
+    document.removeEventListener('mousedown', this._onDocumentMouseDown, true)
+    document.removeEventListener('contextmenu', this._onDocumentContextMenu)
+
+    this._stopCapture()
+    this.keyBindings = null
+    this.graphicsSettings = null
+    this.tracker.keysPressed.splice(0)
+    this.gamepadTracker.controlsPressed = []
+
+    this.dialog.set('show', false)
+    this.dialog.update(this.vwDimensions)
+  }
+}
@@ -0,0 +1,46 @@
+/* eslint-env node */
+/**
+ * @fileoverview Animation component.
+ */
+
+/**
+ * @typedef {import('../../apps/play-app').DynAnimationKeys} AnimationType
+ *
+ * @typedef {Object} AnimationOpts
+ * @prop {AnimationType|null} [forcedState] The animation to play regardless of
+ * what the entity is doing.
+ */
+
+/**
+ * The Animation component stores which animation an entity is playing, and how
+ * far along the animation is.
+ */
+export default class Animation {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['state', 'frame', 'angle']
+  }
+
+  /**
+   * Create a new Animation component, which starts out idle.
+   * @param {AnimationOpts} [opts={}] Optional options.
+   */
+  constructor (opts = {}) {
+    /** @type {AnimationType} */
+    this.state = 'idle'
+    /**
+     * An animation set by the server (e.g. ``attack`` or ``die``), which
+     * overrides the animation picked from the entity's movement.
+     * @type {AnimationType|null}
+     */
+    this.forcedState = opts.forcedState || null
+    this.frame = 0
+    /** How long the current frame has been shown, in milliseconds. */
+    this.elapsed = 0
+    /** The index of the direction the entity is facing. */
+    this.angle = 0
+  }
+}
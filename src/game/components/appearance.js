@@ -0,0 +1,33 @@
+/* eslint-env node */
+/**
+ * @fileoverview Appearance component.
+ */
+
+/**
+ * @typedef {Object} AppearanceOpts
+ * @prop {string} graphic
+ */
+
+/**
+ * The Appearance component describes how an entity should be drawn.
+ */
+export default class Appearance {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return ['graphic']
+  }
+
+  /**
+   * Create a new Appearance component.
+   *
+   * The Appearance component stores the ID of the graphic (as found in the map's
+   * graphics data) that should be used to render an entity.
+   * @param {AppearanceOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.graphic = opts.graphic
+  }
+}
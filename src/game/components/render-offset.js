@@ -0,0 +1,30 @@
+/* eslint-env node */
+/**
+ * @fileoverview Render offset component.
+ */
+
+import { Vector2D } from 'colonialwars-lib/math'
+
+/**
+ * The RenderOffset component stores how far away an entity should be drawn from
+ * its actual position.
+ *
+ * This is used to hide corrections to the entity's position.
+ */
+export default class RenderOffset {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return []
+  }
+
+  /**
+   * Create a new RenderOffset component with an offset of zero in all axes.
+   * @param {undefined} _opts Options are not taken
+   */
+  constructor (_opts) {
+    this.offset = Vector2D.zero()
+  }
+}
@@ -0,0 +1,44 @@
+/* eslint-env node */
+/**
+ * @fileoverview Snapshot buffer component.
+ */
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2D} Vector2D
+ *
+ * @typedef {Object} Snapshot
+ * @prop {number} time The time at which the snapshot was received.
+ * @prop {Vector2D} position
+ * @prop {Vector2D} velocity
+ *
+ * @typedef {Object} SnapshotBufferOpts
+ * @prop {number} maxSize The maximum number of snapshots to keep.
+ */
+
+/**
+ * The SnapshotBuffer component keeps the most recent authoritative states of an
+ * entity controlled by the server, so that it can be interpolated.
+ */
+export default class SnapshotBuffer {
+  /**
+   * Gets the serializable properties of this component.
+   * @returns {Array<string>}
+   */
+  static get properties () {
+    return []
+  }
+
+  /**
+   * Create a new SnapshotBuffer component.
+   * @param {SnapshotBufferOpts} opts Required options.
+   */
+  constructor (opts) {
+    this.maxSize = opts.maxSize
+
+    /**
+     * The buffered snapshots, oldest first.
+     * @type {Array<Snapshot>}
+     */
+    this.snapshots = []
+  }
+}
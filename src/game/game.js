@@ -6,20 +6,34 @@
 import debugFactory from 'debug'
 
 import World from 'colonialwars-lib/ecs'
+import { Vector2D } from 'colonialwars-lib/math'
 
 import constants from '../constants.js'
+import Hud from './hud.js'
 import Viewport from './viewport.js'
 import InputManager from './input/input-manager.js'
 import InputTracker from './input/input-tracker.js'
+import GamepadTracker from './input/gamepad-tracker.js'
 
 import PlayerComponent from './components/player'
+import SnapshotBuffer from './components/snapshots.js'
+import RenderOffset from './components/render-offset.js'
+import AnimationComponent from './components/animation.js'
+import AppearanceComponent from './components/appearance.js'
 import Renderer from './render/renderer.js'
 import GraphicsStore from './render/graphics-store.js'
+import MapPainter from './render/map-painter.js'
 import { ImageLoader } from '../helpers/image-helpers.js'
+import { createUniformLayer, decodeTileLayer } from './render/tiles.js'
+import * as loaders from '../helpers/loaders.js'
 import * as PhysicsComponents from './components/physics'
 import * as PlayerSystems from './systems/player.js'
+import * as RemoteSystems from './systems/remote.js'
+import * as AnimationSystems from './systems/animation.js'
+import * as CollisionSystems from './systems/collision.js'
+import * as InterpolationSystems from './systems/interpolation.js'
 
-const { COMMUNICATIONS: communications } = constants
+const { COMMUNICATIONS: communications, GAME_CONSTANTS: gameConstants } = constants
 const debug = debugFactory('cw-client:client-game')
 
 const SELF_ID = '@self'
@@ -27,10 +41,16 @@ const COMPONENT_MAP = {
   physicalProps: PhysicsComponents.PhysicalProps,
   transform2d: PhysicsComponents.Transform2d,
   velocity2d: PhysicsComponents.Velocity2d,
+  appearance: AppearanceComponent,
+  animation: AnimationComponent,
+  snapshotBuffer: SnapshotBuffer,
+  renderOffset: RenderOffset,
   player: PlayerComponent
 }
 
 /**
+ * @typedef {import('../apps/play-app').DynAnimationKeys} DynAnimationKeys
+ *
  * @typedef {Object} WorldLimits
  * @prop {number} x
  * @prop {number} y
@@ -42,15 +62,67 @@ const COMPONENT_MAP = {
  * @prop {number} speed
  * @prop {string} name
  * @prop {string} team
+ * @prop {string} graphic
+ * @prop {DynAnimationKeys} [animation] The animation the player should be
+ * playing, if it's not walking or idling.
+ *
+ * @typedef {Object} EntityState
+ * @prop {string} id
+ * @prop {string} graphic
+ * @prop {import('colonialwars-lib/math').Vector2D} position
+ * @prop {import('colonialwars-lib/math').Vector2D} [velocity]
+ * @prop {string} [name] Only present if the entity is a player.
+ * @prop {string} [team] Only present if the entity is a player.
+ * @prop {DynAnimationKeys} [animation] The animation the entity should be
+ * playing, if it's not walking or idling.
  *
  * @typedef {Object} GameState
- * @prop {PlayerStats} self
+ * @prop {PlayerStats} [self] Not present while spectating.
+ * @prop {Array<EntityState>} [others] All the other entities the server
+ * wants us to know about.
+ *
+ * @typedef {Object} GameKeyBindings
+ * @prop {Record<'up'|'down'|'left'|'right', Array<string>>} directionBindings
+ * The keys bound to each direction.
+ * @prop {Record<'primary'|'secondary', Array<'left'|'middle'|'right'>>} [mouseBindings]
+ * Defaults to the mouse bindings in ``constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS``.
+ * @prop {Record<'zoomIn'|'zoomOut', Array<string>>} [zoomBindings] Defaults to
+ * the zoom bindings in ``constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS``.
+ * @prop {Record<'followNext'|'followPrevious', Array<string>>} [spectatorBindings]
+ * Defaults to the spectator bindings in ``constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS``.
+ * @prop {Record<string, Array<string>>} [gamepadBindings] The gamepad controls
+ * bound to each direction or action. Defaults to the gamepad bindings in
+ * ``constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS``.
+ *
+ * @typedef {Object} GraphicsSettings
+ * @prop {number} renderScale
+ * @prop {boolean} useDevicePixelRatio
+ * @prop {number} fpsCap 0 means there is no limit.
+ * @prop {boolean} showDebugOverlay
+ * @prop {number} chunkSize The size of every map chunk. 0 means the default size
+ * is used.
  *
  * @typedef {Object} GameOpts
  * @prop {CanvasRenderingContext2D} context
  * @prop {import('colonialwars-lib/cwdtp').WSConn<string>} conn
  * @prop {import('../apps/play-app').MapData} mapData
  * @prop {import('../helpers/display-utils').ViewportDimensions} vwDimensions
+ * @prop {GameKeyBindings} [keyBindings] The key bindings to use. Defaults to
+ * ``constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS``.
+ * @prop {GraphicsSettings} [graphicsSettings] The graphics settings to use.
+ * Defaults to ``constants.GAME_CONSTANTS.DEFAULT_GRAPHICS_SETTINGS``.
+ * @prop {InputTracker} [inputTracker] The input tracker to use. Defaults to one
+ * that listens to the document and the canvas of ``context``.
+ * @prop {GamepadTracker} [gamepadTracker] The gamepad tracker to use. Defaults
+ * to one that tracks the first gamepad that is connected.
+ * @prop {ImageLoader} [imgLoader] The image loader to use. Defaults to one that
+ * loads game images from the current origin.
+ * @prop {HTMLElement} [hudElement] The element to display the HUD in. If not
+ * specified, there is no HUD.
+ * @prop {(progress: number) => void} [onLoadProgress] Called with how much of
+ * the game (from 0 to 1) has been loaded while the game is initializing.
+ * @prop {boolean} [spectating=false] Whether we're spectating the game, instead
+ * of playing as a player.
  */
 
 /**
@@ -64,32 +136,63 @@ export default class Game {
    */
   constructor (opts) {
     this._conn = opts.conn
+    this._canvas = opts.context.canvas
     this._mapData = opts.mapData
+    this._colliders = CollisionSystems.getColliders(
+      opts.mapData.obstacles || [], gameConstants.PLAYER_SIZE / 2
+    )
+    this._keyBindings = opts.keyBindings || gameConstants.DEFAULT_KEY_BINDINGS
+    this._graphicsSettings = opts.graphicsSettings || gameConstants.DEFAULT_GRAPHICS_SETTINGS
+    this._onLoadProgress = opts.onLoadProgress || (() => {})
+    this._spectating = Boolean(opts.spectating)
 
-    this._imgLoader = new ImageLoader({
+    this._imgLoader = opts.imgLoader || new ImageLoader({
       baseURL: `${window.location.origin}${constants.IMG_CONSTANTS.GAME_IMAGE_DIR}/`
     })
-    this._viewport = new Viewport(opts.context.canvas)
+    this._viewport = new Viewport(opts.vwDimensions)
     this._graphicsStore = new GraphicsStore({
       graphicsData: opts.mapData.graphicsData,
       imgLoader: this._imgLoader
     })
+    /**
+     * Whether we created the input tracker, and are responsible for cleaning
+     * it up.
+     */
+    this._ownsInputTracker = !opts.inputTracker
+    this._inputTracker = opts.inputTracker || InputTracker.create(document, opts.context.canvas)
+    this._ownsGamepadTracker = !opts.gamepadTracker
+    this._gamepadTracker = opts.gamepadTracker || GamepadTracker.create()
     this._inputManager = new InputManager({
-      tracker: InputTracker.create(document, opts.context.canvas)
+      tracker: this._inputTracker,
+      gamepadTracker: this._gamepadTracker
     })
+    this._hud = opts.hudElement
+      ? new Hud({ elem: opts.hudElement })
+      : null
     this._renderer = new Renderer({
       context: opts.context,
       mapData: opts.mapData,
       viewport: this._viewport,
       vwDimensions: opts.vwDimensions,
-      graphicsStore: this._graphicsStore
+      graphicsStore: this._graphicsStore,
+      graphicsSettings: this._graphicsSettings
     })
+    /**
+     * Renders the map for the renderer. Created once the map's assets are loaded.
+     * @type {MapPainter|null}
+     */
+    this._mapPainter = null
 
     /**
      * The ID of the player entity in our ECS world.
      * @type {number|null}
      */
     this._self = null
+    /**
+     * A map of server-side entity IDs to their IDs in our ECS world.
+     * @type {Map<string, number>}
+     */
+    this._remotes = new Map()
     this._animationFrameID = null
     this._initialized = false
 
@@ -112,7 +215,77 @@ export default class Game {
     this._outboundMsgs = []
 
     this._inputNum = 0
-    this._lastUpdateTime = 0
+    /**
+     * The latest input state that hasn't been sampled by a simulation tick.
+     * @type {import('./input/input-manager').InputState|null}
+     */
+    this._pendingInput = null
+    /**
+     * Which zoom keys are held down.
+     * @type {Record<'zoomIn'|'zoomOut', boolean>}
+     */
+    this._zoomKeys = { zoomIn: false, zoomOut: false }
+
+    /**
+     * How long a single simulation tick is, in milliseconds.
+     */
+    this._tickLength = 1000 / (opts.mapData.tickRate || gameConstants.DEFAULT_TICK_RATE)
+    /**
+     * The time the simulation has been advanced to.
+     * @type {number|null}
+     */
+    this._simulationTime = null
+    /**
+     * Time that has passed, but hasn't been simulated yet.
+     */
+    this._accumulator = 0
+    /** @type {number|null} */
+    this._lastFrameTime = null
+    /**
+     * Where the player was before the last simulation tick, so that the player
+     * could be rendered between ticks.
+     * @type {InstanceType<Vector2D>|null}
+     */
+    this._prevSelfPosition = null
+    /**
+     * A smoothed measurement of the frames per second.
+     */
+    this._fps = 0
+    /**
+     * The round trip time of the last CWDTP heartbeat ping, in milliseconds.
+     * @type {number|null}
+     */
+    this._latency = null
+    /**
+     * When the heartbeat ping that hasn't been answered yet was sent, or null
+     * if every ping has been answered.
+     * @type {number|null}
+     */
+    this._pingSentAt = null
+
+    /**
+     * The server-side ID of the player the camera is following while
+     * spectating, or null if the camera is free.
+     * @type {string|null}
+     */
+    this._following = null
+    /**
+     * The latest input state while spectating, which is used to pan the
+     * camera every frame.
+     * @type {import('./input/input-manager').InputState|null}
+     */
+    this._spectatorInput = null
+    /**
+     * Which spectator keys were held down in the last input.
+     * @type {Record<'followNext'|'followPrevious', boolean>}
+     */
+    this._spectatorKeys = { followNext: false, followPrevious: false }
+    /**
+     * Where the mouse and the viewport were when the camera started being
+     * dragged, or null if it isn't being dragged.
+     * @type {Record<'mouse'|'viewport', InstanceType<Vector2D>>|null}
+     */
+    this._dragStart = null
   }
 
   // ================ Private event handling ================ //
@@ -124,30 +297,123 @@ export default class Game {
    * @private
    */
   _onInput (state) {
+    this._zoomKeys.zoomIn = Boolean(state.keys.zoomIn)
+    this._zoomKeys.zoomOut = Boolean(state.keys.zoomOut)
+
+    const wheelDelta = state.mouse.wheelDelta
+    if (wheelDelta.y !== 0) {
+      // Scrolling up zooms in, towards the cursor.
+      this._viewport.zoomBy(
+        Math.pow(gameConstants.ZOOM.WHEEL_FACTOR, -wheelDelta.y / 100),
+        state.mouse.position
+      )
+      // The wheel doesn't affect anything the server cares about.
+      return
+    }
+
+    if (this._spectating) {
+      this._onSpectatorInput(state)
+      return
+    }
     if (!this._self) {
       return
     }
 
-    this._inputNum++
-    const packagedInput = {
-      inputNum: this._inputNum,
-      timestamp: Date.now(),
-      direction: {
-        up: state.keys.up,
-        down: state.keys.down,
-        left: state.keys.left,
-        right: state.keys.right
+    // Inputs are only sampled once every simulation tick.
+    this._pendingInput = state
+  }
+
+  /**
+   * Handles client input while spectating. The spectator keys cycle through
+   * the players to follow, and dragging with the primary mouse button pans
+   * the camera.
+   * @param {import('./input/input-manager').InputState} state
+   * The current input state
+   * @private
+   */
+  _onSpectatorInput (state) {
+    this._spectatorInput = state
+
+    // Only cycle once every time a key is pressed, not every time an input
+    // happens while it's held.
+    const followNext = Boolean(state.keys.followNext)
+    const followPrevious = Boolean(state.keys.followPrevious)
+    if (followNext && !this._spectatorKeys.followNext) {
+      this._cycleFollowing(1)
+    }
+    if (followPrevious && !this._spectatorKeys.followPrevious) {
+      this._cycleFollowing(-1)
+    }
+    this._spectatorKeys = { followNext, followPrevious }
+
+    if (!state.mouse.buttons.primary) {
+      this._dragStart = null
+      return
+    }
+
+    const mouse = Vector2D.fromObject(state.mouse.position)
+    if (!this._dragStart) {
+      // Clicking on the minimap isn't a drag.
+      if (!this._renderer.minimapToWorld(mouse)) {
+        this._dragStart = {
+          mouse,
+          viewport: Vector2D.fromObject(this._viewport.position)
+        }
       }
+      return
     }
 
-    const queue = this._world.getComponent('player', { from: this._self }).inputQueue
-    queue.push(packagedInput)
-    this._outboundMsgs.push(packagedInput)
+    const dragged = Vector2D.sub(mouse, this._dragStart.mouse)
+      .scale(1 / this._viewport.zoom)
+    this._following = null
+    this._viewport.position = Vector2D.sub(this._dragStart.viewport, dragged)
+    this._clampCamera()
+  }
+
+  /**
+   * Called when the canvas is clicked. Clicking on the minimap pans the camera
+   * there, but only while spectating, since a player's camera always follows
+   * the player.
+   * @param {MouseEvent} e
+   * @private
+   */
+  _onCanvasClick (e) {
+    if (!this._spectating) {
+      return
+    }
+
+    const target = this._renderer.minimapToWorld({ x: e.offsetX, y: e.offsetY })
+    if (target) {
+      this._following = null
+      this._viewport.centerOn(target)
+    }
+  }
+
+  /**
+   * Called when the connection sends a CWDTP heartbeat ping.
+   * @private
+   */
+  _onConnPing () {
+    this._pingSentAt = window.performance.now()
+  }
+
+  /**
+   * Called when the server answers the connection's heartbeat ping. Records
+   * the round trip time of the ping.
+   * @private
+   */
+  _onConnPong () {
+    if (this._pingSentAt === null) {
+      return
+    }
+
+    this._latency = window.performance.now() - this._pingSentAt
+    this._pingSentAt = null
   }
 
   /**
    * Handles a new authoritarian game state.
-   * @param {string} state The authoritarian state of the game.
+   * @param {GameState} state The authoritarian state of the game.
    * @private
    */
   _onGameState (state) {
@@ -158,12 +424,23 @@ export default class Game {
 
   /**
    * Process all messages received from the server.
+   * @param {number} currentTime The current time.
    * @private
    */
-  _processServerMessages () {
+  _processServerMessages (currentTime) {
     const msgs = this._inboundMsgs.splice(0)
 
     for (const state of msgs) {
+      RemoteSystems.syncRemotes(state.others || [], {
+        currentTime,
+        world: this._world,
+        remotes: this._remotes
+      })
+
+      if (!state.self) {
+        // Spectators don't have a player.
+        continue
+      }
       if (!this._self) {
         this._self = PlayerSystems.createSelf(this._world, {
           id: SELF_ID,
@@ -174,22 +451,70 @@ export default class Game {
            * (07/15/2022) Take-Some-Bytes */
           mass: 2,
           speed: state.self.speed,
+          graphic: state.self.graphic,
           position: state.self.position
         })
       }
 
+      this._world.getComponent('animation', { from: this._self }).forcedState =
+        state.self.animation || null
+
       PlayerSystems.acceptAuthoritativeState(state, {
         world: this._world,
         playerId: this._self,
-        worldLimits: this._mapData.worldLimits
+        worldLimits: this._mapData.worldLimits,
+        colliders: this._colliders,
+        snapDistance: gameConstants.RECONCILIATION.SNAP_DISTANCE
       })
     }
   }
 
+  /**
+   * Samples the latest client input, if it has changed since the last tick.
+   * @param {number} currentTime The current simulation time.
+   * @private
+   */
+  _sampleInput (currentTime) {
+    const state = this._pendingInput
+    if (!this._self || !state) {
+      return
+    }
+
+    this._pendingInput = null
+    this._inputNum++
+    // The mouse position is converted when the input is sampled, since the
+    // viewport might have moved since the input happened.
+    const aim = Vector2D.floorAxes(this._viewport.toWorld(state.mouse.position))
+    // Locally, the input happened at this tick, so that prediction steps in
+    // whole ticks. The server gets the wall-clock time instead, since it
+    // can't know anything about our monotonic clock.
+    const packagedInput = {
+      inputNum: this._inputNum,
+      timestamp: currentTime,
+      direction: {
+        up: state.keys.up,
+        down: state.keys.down,
+        left: state.keys.left,
+        right: state.keys.right
+      },
+      aim: { x: aim.x, y: aim.y },
+      // Actions could also be bound to gamepad controls.
+      actions: {
+        primary: Boolean(state.mouse.buttons.primary || state.keys.primary),
+        secondary: Boolean(state.mouse.buttons.secondary || state.keys.secondary)
+      }
+    }
+
+    const player = this._world.getComponent('player', { from: this._self })
+    player.inputQueue.push(packagedInput)
+    player.unprocessedInputs.push(packagedInput)
+    this._outboundMsgs.push({ ...packagedInput, timestamp: Date.now() })
+  }
+
   /**
    * Process all client inputs, and arranges for them to be sent to the server
-   * at the end of this iteration of the update loop.
-   * @param {number} currentTime The current time.
+   * at the end of this simulation tick.
+   * @param {number} currentTime The current simulation time.
    * @private
    */
   _processInputs (currentTime) {
@@ -198,42 +523,343 @@ export default class Game {
     }
 
     const queue = this._world.getComponent('player', { from: this._self }).inputQueue
+    const transform = this._world.getComponent('transform2d', { from: this._self })
+
+    this._prevSelfPosition = Vector2D.fromObject(transform.position)
 
     PlayerSystems.processInputs(queue.splice(0), {
       currentTime,
       world: this._world,
       playerId: this._self,
-      worldLimits: this._mapData.worldLimits
+      worldLimits: this._mapData.worldLimits,
+      colliders: this._colliders
     })
+  }
+
+  /**
+   * Performs a single, fixed-length simulation tick.
+   * @param {number} tickTime The simulation time of this tick.
+   * @private
+   */
+  _tick (tickTime) {
+    this._processServerMessages(tickTime)
+    this._sampleInput(tickTime)
+    this._processInputs(tickTime)
+    this._postUpdate()
+  }
+
+  /**
+   * Gets where the player should be rendered, which is somewhere between where
+   * the player was in the last tick and where the player is now.
+   * @param {number} alpha How far along we are to the next tick, between 0 and 1.
+   * @returns {InstanceType<Vector2D>}
+   * @private
+   */
+  _getSelfRenderPosition (alpha) {
+    const position = PlayerSystems.getRenderPosition(this._world, this._self)
+    if (!this._prevSelfPosition) {
+      return position
+    }
 
     const transform = this._world.getComponent('transform2d', { from: this._self })
-    this._viewport.updateTrackingPosition(transform.position)
-    this._viewport.update(currentTime - this._lastUpdateTime)
+    const sinceLastTick = Vector2D.sub(transform.position, this._prevSelfPosition)
+
+    return Vector2D.sub(position, Vector2D.scale(sinceLastTick, 1 - alpha))
+  }
+
+  /**
+   * Gets the absolute world coordinate at the center of the viewport.
+   * @returns {InstanceType<Vector2D>}
+   * @private
+   */
+  _getCameraCenter () {
+    return Vector2D.add(this._viewport.position, this._viewport.canvasOffset)
+  }
+
+  /**
+   * Keeps the center of the viewport within the world.
+   * @private
+   */
+  _clampCamera () {
+    const worldLimits = this._mapData.worldLimits
+    const center = this._getCameraCenter()
+    const clamped = new Vector2D(
+      Math.min(Math.max(center.x, 0), worldLimits.x),
+      Math.min(Math.max(center.y, 0), worldLimits.y)
+    )
+
+    this._viewport.position.add(Vector2D.sub(clamped, center))
+  }
+
+  /**
+   * Gets the position of the player the camera is following while spectating.
+   * Stops following the player if they have left the game.
+   * @returns {InstanceType<Vector2D>|null}
+   * @private
+   */
+  _getFollowedPosition () {
+    const entity = this._following === null
+      ? undefined
+      : this._remotes.get(this._following)
+    if (entity === undefined) {
+      this._following = null
+      return null
+    }
+
+    return this._world.getComponent('transform2d', { from: entity }).position
+  }
+
+  /**
+   * Makes the camera follow the next or previous player in the game, in the
+   * order of their IDs.
+   * @param {1|-1} step Which way to cycle.
+   * @private
+   */
+  _cycleFollowing (step) {
+    const players = [...this._remotes.entries()]
+      .filter(([, entity]) => this._world.getComponent('player', { from: entity }))
+      .map(([id]) => id)
+      .sort()
+    if (players.length < 1) {
+      this._following = null
+      return
+    }
+
+    const index = players.indexOf(this._following)
+    if (index === -1) {
+      this._following = step > 0 ? players[0] : players[players.length - 1]
+    } else {
+      this._following = players[(index + step + players.length) % players.length]
+    }
+
+    debug('Following player %s', this._following)
+  }
+
+  /**
+   * Pans the camera while spectating. The direction keys pan the camera (and
+   * stop following any player), and so does moving the mouse to the edge of
+   * the canvas while the camera is free.
+   * @param {number} deltaTime The time since the last frame.
+   * @private
+   */
+  _panCamera (deltaTime) {
+    const state = this._spectatorInput
+    if (!state || this._dragStart) {
+      return
+    }
+
+    const keys = state.keys
+    const direction = new Vector2D(
+      Number(Boolean(keys.right)) - Number(Boolean(keys.left)),
+      Number(Boolean(keys.down)) - Number(Boolean(keys.up))
+    )
+    if (direction.x !== 0 || direction.y !== 0) {
+      this._following = null
+    } else if (this._following === null && state.mouse.over) {
+      const edgeSize = gameConstants.SPECTATOR.EDGE_SIZE
+      const position = state.mouse.position
+      const dimensions = this._viewport.dimensions
+
+      direction.x = Number(position.x >= dimensions.width - edgeSize) -
+        Number(position.x < edgeSize)
+      direction.y = Number(position.y >= dimensions.height - edgeSize) -
+        Number(position.y < edgeSize)
+    }
+
+    if (direction.x === 0 && direction.y === 0) {
+      return
+    }
+
+    // Pan at the same speed on the screen, however far we're zoomed in.
+    this._viewport.position.add(Vector2D.scale(
+      direction,
+      gameConstants.SPECTATOR.PAN_SPEED * deltaTime / this._viewport.zoom
+    ))
+    this._clampCamera()
+  }
+
+  /**
+   * Zooms the viewport if a zoom key is held, and updates the viewport to
+   * follow the player (or, while spectating, the player being followed).
+   * @param {number} deltaTime The time since the last frame.
+   * @param {InstanceType<Vector2D>|null} selfPosition Where the player is
+   * rendered, or null while spectating.
+   * @private
+   */
+  _updateCamera (deltaTime, selfPosition) {
+    const zoomDirection = Number(this._zoomKeys.zoomIn) - Number(this._zoomKeys.zoomOut)
+    if (zoomDirection !== 0) {
+      this._viewport.zoomBy(
+        Math.pow(gameConstants.ZOOM.KEY_FACTOR, zoomDirection * deltaTime / 1000)
+      )
+    }
+    this._viewport.updateZoom(deltaTime)
+
+    if (this._spectating) {
+      this._panCamera(deltaTime)
+
+      const followed = this._getFollowedPosition()
+      if (followed) {
+        this._viewport.updateTrackingPosition(followed)
+        this._viewport.update(deltaTime)
+      }
+      return
+    }
+
+    this._viewport.updateTrackingPosition(selfPosition)
+    this._viewport.update(deltaTime)
+  }
+
+  /**
+   * Moves all server-controlled entities to where they should be rendered.
+   * @param {number} currentTime The current time.
+   * @private
+   */
+  _updateRemotes (currentTime) {
+    InterpolationSystems.interpolate(this._remotes.values(), {
+      currentTime,
+      world: this._world,
+      delay: gameConstants.INTERPOLATION.DELAY,
+      maxExtrapolation: gameConstants.INTERPOLATION.MAX_EXTRAPOLATION,
+      worldLimits: this._mapData.worldLimits
+    })
+  }
+
+  /**
+   * Advances the animations of all entities.
+   * @param {number} deltaTime The time since the last frame.
+   * @private
+   */
+  _updateAnimations (deltaTime) {
+    const entities = [...this._remotes.values()]
+    if (this._self) {
+      entities.unshift(this._self)
+    }
+
+    AnimationSystems.animate(entities, {
+      deltaTime,
+      world: this._world,
+      graphicsData: this._mapData.graphicsData,
+      frameDuration: gameConstants.ANIMATION.FRAME_DURATION,
+      nonLooping: gameConstants.ANIMATION.NON_LOOPING
+    })
+  }
+
+  /**
+   * Gets the positions of all the players on our team, excluding ourselves.
+   * While spectating, the positions of all the players are returned instead.
+   * @returns {Array<InstanceType<Vector2D>>}
+   * @private
+   */
+  _getTeammatePositions () {
+    const team = this._self
+      ? this._world.getComponent('player', { from: this._self }).team
+      : null
+    const positions = []
+
+    for (const entity of this._remotes.values()) {
+      const player = this._world.getComponent('player', { from: entity })
+      if (player && (team === null || player.team === team)) {
+        positions.push(this._world.getComponent('transform2d', { from: entity }).position)
+      }
+    }
+
+    return positions
   }
 
   /**
    * Render all the entities onto the screen.
+   * @param {InstanceType<Vector2D>|null} selfPosition Where the player is
+   * rendered, or null while spectating.
+   * @private
+   */
+  _render (selfPosition) {
+    const entities = [...this._remotes.values()].map(entity => ({
+      graphic: this._world.getComponent('appearance', { from: entity }).graphic,
+      position: this._world.getComponent('transform2d', { from: entity }).position,
+      animation: this._world.getComponent('animation', { from: entity })
+    }))
+    if (this._self) {
+      entities.unshift({
+        graphic: this._world.getComponent('appearance', { from: this._self }).graphic,
+        position: selfPosition,
+        animation: this._world.getComponent('animation', { from: this._self })
+      })
+    }
+
+    this._renderer.clear()
+    this._renderer.renderMap()
+    this._renderer.renderObstacles(this._mapData.obstacles || [])
+    this._renderer.renderEntities(entities)
+    this._renderer.renderMinimap({
+      // Spectators see the player they're following highlighted instead.
+      self: selfPosition || this._getFollowedPosition(),
+      teammates: this._getTeammatePositions()
+    })
+    this._renderer.renderDebugOverlay({
+      fps: this._fps,
+      position: selfPosition || this._getCameraCenter(),
+      entities: entities.length
+    })
+  }
+
+  /**
+   * Updates the HUD, if there is one.
+   * @param {number} currentTime The current time.
+   * @param {InstanceType<Vector2D>|null} selfPosition Where the player is
+   * rendered, or null while spectating.
    * @private
    */
-  _render () {
+  _updateHud (currentTime, selfPosition) {
+    if (!this._hud) {
+      return
+    }
     if (!this._self) {
+      this._updateSpectatorHud(currentTime)
       return
     }
 
-    const transform = this._world.getComponent('transform2d', { from: this._self })
+    const player = this._world.getComponent('player', { from: this._self })
 
-    this._renderer.clear()
-    this._renderer.renderMap(transform.position)
+    this._hud.update(currentTime, {
+      name: player.name,
+      team: player.team,
+      position: selfPosition,
+      fps: this._fps,
+      latency: this._latency,
+      pendingInputs: player.unprocessedInputs.length
+    })
   }
 
   /**
-   * Work that needs to be done after everything has been updated.
+   * Updates the HUD while spectating, with the player being followed (if any)
+   * in place of our own player.
    * @param {number} currentTime The current time.
    * @private
    */
-  _postUpdate (currentTime) {
-    this._lastUpdateTime = currentTime
+  _updateSpectatorHud (currentTime) {
+    const entity = this._following === null
+      ? undefined
+      : this._remotes.get(this._following)
+    const player = entity === undefined
+      ? null
+      : this._world.getComponent('player', { from: entity })
 
+    this._hud.update(currentTime, {
+      name: player ? `Spectating ${player.name}` : 'Spectating',
+      team: player ? player.team : '-',
+      position: this._getCameraCenter(),
+      fps: this._fps,
+      latency: this._latency,
+      pendingInputs: 0
+    })
+  }
+
+  /**
+   * Work that needs to be done after everything has been updated.
+   * @private
+   */
+  _postUpdate () {
     const outbound = this._outboundMsgs.splice(0)
 
     for (const msg of outbound) {
@@ -264,71 +890,145 @@ export default class Game {
    * @private
    */
   _initInput () {
-    // These are hardcoded right now because I don't want to try to load
-    // keybindings right now.
-    this._inputManager.bind('w', 'up')
-    this._inputManager.bind('s', 'down')
-    this._inputManager.bind('a', 'left')
-    this._inputManager.bind('d', 'right')
+    const directionBindings = this._keyBindings.directionBindings
+    const mouseBindings = this._keyBindings.mouseBindings ||
+      gameConstants.DEFAULT_KEY_BINDINGS.mouseBindings
+    const zoomBindings = this._keyBindings.zoomBindings ||
+      gameConstants.DEFAULT_KEY_BINDINGS.zoomBindings
+    const spectatorBindings = this._keyBindings.spectatorBindings ||
+      gameConstants.DEFAULT_KEY_BINDINGS.spectatorBindings
+    const gamepadBindings = this._keyBindings.gamepadBindings ||
+      gameConstants.DEFAULT_KEY_BINDINGS.gamepadBindings
+    // Spectators don't have a player to move, so the direction keys pan the
+    // camera instead.
+    const extraBindings = this._spectating
+      ? { ...zoomBindings, ...spectatorBindings }
+      : zoomBindings
+
+    for (const [direction, keys] of Object.entries(directionBindings)) {
+      this._inputManager.bind(keys, direction)
+    }
+    for (const [action, buttons] of Object.entries(mouseBindings)) {
+      this._inputManager.bindMouse(buttons, action)
+    }
+    for (const [action, keys] of Object.entries(extraBindings)) {
+      for (const key of keys) {
+        try {
+          this._inputManager.bind(key, action)
+        } catch (ex) {
+          // Moving around is more important than anything else.
+          debug('Not binding key "%s" to %s, since it is already bound', key, action)
+        }
+      }
+    }
+    for (const [action, controls] of Object.entries(gamepadBindings)) {
+      this._inputManager.bindGamepad(controls, action)
+    }
   }
 
   /**
-   * Initializes the Renderer.
+   * Loads everything that is needed to render the map.
+   * @param {(progress: number) => void} onProgress Called with how much of the
+   * assets (from 0 to 1) have been loaded.
+   * @returns {Promise<import('./render/map').MapAssets>}
    * @private
    */
-  async _initRenderer () {
+  async _loadMapAssets (onProgress) {
     const worldLimits = this._mapData.worldLimits
-    // ~16000 pixels is the maximum canvas size in a browser.
-    // We're trying to draw everything onto a canvas and then split it, so
-    // we'll have to work around that limit.
-    const tooBig = worldLimits.x > 15000 || worldLimits.y > 15000
-    const halvedWorldLimits = {
-      x: worldLimits.x / 2,
-      y: worldLimits.y / 2
+    const tileSize = gameConstants.DRAWING_TILE_SIZE
+    const decorations = this._mapData.decorations || []
+    const graphics = [...new Set(decorations.map(decoration => decoration.graphic))]
+    // The tile sheet data, the tile sheet, and every decoration graphic.
+    const total = 2 + graphics.length
+    let loaded = 0
+    const step = () => onProgress(++loaded / total)
+
+    const sheetData = await loaders.loadTileSheetData()
+    step()
+    // Only ImageBitmaps could be sent to the map worker.
+    const sheet = await createImageBitmap(await this._imgLoader.loadImg(sheetData.file))
+    step()
+
+    /** @type {Map<string, ImageBitmap|null>} */
+    const imgs = new Map()
+    for (const graphic of graphics) {
+      try {
+        const handle = await this._graphicsStore.getGraphic(graphic)
+        imgs.set(graphic, handle && await handle.image('mainImg'))
+      } catch (ex) {
+        // Failed graphics have already been reported.
+        imgs.set(graphic, null)
+      }
+      step()
+
+      if (!imgs.get(graphic)) {
+        debug('Decoration graphic "%s" is not available', graphic)
+      }
+    }
+
+    return {
+      sheet,
+      sheetData,
+      tileSize,
+      // Older servers only send one type of tile for the whole map.
+      layer: decodeTileLayer(this._mapData.tiles || createUniformLayer(
+        this._mapData.tileType,
+        Math.ceil(worldLimits.x / tileSize),
+        Math.ceil(worldLimits.y / tileSize)
+      )),
+      decorations: decorations
+        .filter(decoration => imgs.get(decoration.graphic))
+        .map(decoration => ({
+          img: imgs.get(decoration.graphic),
+          position: decoration.position
+        }))
+    }
+  }
+
+  /**
+   * Loads all the graphics of the map, so that nothing has to be loaded while
+   * the game is running. Graphics that fail to load are reported, but don't
+   * stop the game from loading.
+   * @param {(progress: number) => void} onProgress Called with how much of the
+   * graphics (from 0 to 1) have been loaded.
+   * @private
+   */
+  async _preloadGraphics (onProgress) {
+    const failures = await this._graphicsStore.preload(onProgress)
+    if (failures.size < 1) {
+      return
     }
 
+    console.warn(
+      `Failed to load ${failures.size} graphic(s):\n` +
+      [...failures.entries()]
+        .map(([id, err]) => `  ${id}: ${err.message}`)
+        .join('\n')
+    )
+  }
+
+  /**
+   * Initializes the Renderer.
+   * @param {(progress: number) => void} onProgress Called with how much of the
+   * Renderer (from 0 to 1) has been initialized.
+   * @private
+   */
+  async _initRenderer (onProgress) {
+    // Loading the map's assets takes up the first half of the progress, and
+    // rendering the minimap takes up the rest.
+    const assets = await this._loadMapAssets(progress => {
+      onProgress(progress / 2)
+    })
+
+    this._mapPainter = new MapPainter({ assets })
+    await this._mapPainter.init()
+
     await this._renderer.init({
       // The renderer chunks the map into "big tiles" for performance reasons;
       // this function is just meant to tell the renderer what's in those "big tiles".
-      renderMap: async (ctx, opts) => {
-        ctx.canvas.width = tooBig
-          ? halvedWorldLimits.x
-          : worldLimits.x
-        ctx.canvas.height = tooBig
-          ? halvedWorldLimits.y
-          : worldLimits.y
-
-        const start = { x: 0, y: 0 }
-        const end = tooBig ? halvedWorldLimits : worldLimits
-
-        const tileSheet = await this._imgLoader.loadImg('tiles.png')
-        const frameSize = 100
-        const availableFrames = {
-          grass: [0, 0],
-          sand: [1, 0]
-        }
-        const frame = availableFrames[this._mapData.tileType]
-        const tile = await createImageBitmap(
-          tileSheet,
-          // Src-X + Src-Y
-          frame[0] * frameSize, frame[1] * frameSize,
-          // Src width+height.
-          frameSize, frameSize
-        )
-
-        debug(end)
-
-        for (
-          let x = start.x, endX = end.x; x < endX;
-          x += constants.GAME_CONSTANTS.DRAWING_TILE_SIZE
-        ) {
-          for (
-            let y = start.y, endY = end.y; y < endY;
-            y += constants.GAME_CONSTANTS.DRAWING_TILE_SIZE
-          ) {
-            ctx.drawImage(tile, x, y)
-          }
-        }
+      renderMap: (region, onRegionProgress) => this._mapPainter.render(region, onRegionProgress),
+      onProgress: progress => {
+        onProgress(0.5 + progress / 2)
       }
     })
   }
@@ -342,11 +1042,36 @@ export default class Game {
     this._initWorld()
     this._initInput()
     this._world.clear()
+    this._remotes.clear()
 
-    await this._initRenderer()
+    // Preloading graphics takes up the first half of the progress, and
+    // initializing the renderer takes up the rest.
+    await this._preloadGraphics(progress => {
+      this._onLoadProgress(progress / 2)
+    })
+    await this._initRenderer(progress => {
+      this._onLoadProgress(0.5 + progress / 2)
+    })
 
-    this._inputManager.on('input', this._onInput.bind(this))
-    this._conn.messages.on(communications.CONN_UPDATE, this._onGameState.bind(this))
+    if (this._spectating) {
+      // Start in the middle of the map, since there's no player to look at.
+      this._viewport.centerOn(new Vector2D(
+        this._mapData.worldLimits.x / 2, this._mapData.worldLimits.y / 2
+      ))
+    }
+
+    this._onInput = this._onInput.bind(this)
+    this._onGameState = this._onGameState.bind(this)
+    this._onConnPing = this._onConnPing.bind(this)
+    this._onConnPong = this._onConnPong.bind(this)
+    this._onCanvasClick = this._onCanvasClick.bind(this)
+    this._canvas.addEventListener('click', this._onCanvasClick)
+    this._inputManager.on('input', this._onInput)
+    this._conn.messages.on(communications.CONN_UPDATE, this._onGameState)
+    // WSConn emits ``ping`` when it sends a heartbeat ping, and ``pong`` when
+    // the server answers it, like the WebSocket class of the ``ws`` package.
+    this._conn.on('ping', this._onConnPing)
+    this._conn.on('pong', this._onConnPong)
 
     this._initialized = true
 
@@ -358,16 +1083,65 @@ export default class Game {
   /**
    * Handles the orchestration of a single animation loop iteration.
    *
-   * This method listens to the server, performs client-side prediction, renders
-   * entities, and send inputs.
+   * This method runs as many fixed-length simulation ticks as needed to catch
+   * up to ``currentTime``, where each tick listens to the server, samples
+   * inputs, performs client-side prediction, and sends inputs. Afterwards,
+   * server-controlled entities are interpolated and everything is rendered.
    *
-   * @param {number} currentTime The current time.
+   * This method may be called manually with any monotonic clock.
+   * @param {number} currentTime The current time, in milliseconds.
    */
   update (currentTime) {
-    this._processServerMessages()
-    this._processInputs(currentTime)
-    this._render()
-    this._postUpdate(currentTime)
+    // Gamepads don't fire events, so they're polled every frame instead. Any
+    // change is handled like every other input.
+    this._gamepadTracker.poll()
+
+    if (this._lastFrameTime === null) {
+      this._lastFrameTime = currentTime
+      this._simulationTime = currentTime
+    }
+
+    // Don't try to catch up on huge hitches (e.g. when the tab was hidden),
+    // since that would freeze the game even more.
+    const frameTime = Math.min(
+      currentTime - this._lastFrameTime, gameConstants.MAX_FRAME_TIME
+    )
+    this._lastFrameTime = currentTime
+    this._accumulator += frameTime
+
+    if (frameTime > 0) {
+      // Exponential moving average, so the number doesn't jump around.
+      this._fps = this._fps * 0.9 + (1000 / frameTime) * 0.1
+    }
+
+    while (this._accumulator >= this._tickLength) {
+      this._simulationTime += this._tickLength
+      this._accumulator -= this._tickLength
+      this._tick(this._simulationTime)
+    }
+
+    this._updateRemotes(this._simulationTime + this._accumulator)
+
+    if (!this._self && !this._spectating) {
+      return
+    }
+
+    let selfPosition = null
+    if (this._self) {
+      PlayerSystems.smoothCorrection({
+        world: this._world,
+        playerId: this._self,
+        deltaTime: frameTime,
+        smoothingTime: gameConstants.RECONCILIATION.SMOOTHING_TIME
+      })
+
+      selfPosition = this._getSelfRenderPosition(this._accumulator / this._tickLength)
+    }
+
+    this._updateCamera(frameTime, selfPosition)
+    this._updateAnimations(frameTime)
+    this._render(selfPosition)
+    this._updateHud(currentTime, selfPosition)
   }
 
   /**
@@ -378,8 +1152,19 @@ export default class Game {
       throw new Error('Game is not initialized!')
     }
 
+    const fpsCap = this._graphicsSettings.fpsCap
+    // Allow frames to come in a little early, since requestAnimationFrame
+    // callbacks don't line up perfectly with the FPS cap.
+    const minFrameTime = fpsCap > 0 ? 1000 / fpsCap - 1 : 0
+    let lastFrame = -Infinity
+
     const _update = () => {
-      this.update(Date.now())
+      const now = window.performance.now()
+
+      if (now - lastFrame >= minFrameTime) {
+        lastFrame = now
+        this.update(now)
+      }
 
       this._animationFrameID = window.requestAnimationFrame(_update.bind(this))
     }
@@ -387,6 +1172,17 @@ export default class Game {
     _update()
   }
 
+  /**
+   * Shows or hides the HUD, if there is one.
+   * @param {boolean} [visible] Whether the HUD should be visible. If not
+   * specified, the HUD's visibility is toggled.
+   */
+  toggleHud (visible) {
+    if (this._hud) {
+      this._hud.toggle(visible)
+    }
+  }
+
   /**
    * Stops the game render and update loop.
    */
@@ -394,6 +1190,45 @@ export default class Game {
     window.cancelAnimationFrame(this._animationFrameID)
   }
 
+  /**
+   * Stops this Game client and releases everything it holds: input handlers,
+   * connection listeners, renderer listeners, and all game entities. The
+   * connection itself is not closed.
+   *
+   * The Game client cannot be used afterwards.
+   */
+  destroy () {
+    this.stop()
+
+    this._conn.messages.removeListener(communications.CONN_UPDATE, this._onGameState)
+    this._conn.removeListener('ping', this._onConnPing)
+    this._conn.removeListener('pong', this._onConnPong)
+    this._canvas.removeEventListener('click', this._onCanvasClick)
+    this._inputManager.destroy()
+    if (this._ownsInputTracker) {
+      this._inputTracker.removeEventHandlers()
+    }
+    if (this._ownsGamepadTracker) {
+      this._gamepadTracker.removeEventHandlers()
+    }
+    this._renderer.destroy()
+    if (this._mapPainter) {
+      this._mapPainter.destroy()
+    }
+    if (this._hud) {
+      this._hud.destroy()
+    }
+
+    this._world.clear()
+    this._remotes.clear()
+    this._pendingInput = null
+    this._spectatorInput = null
+    this._dragStart = null
+    this._initialized = false
+
+    debug('Game client destroyed.')
+  }
+
   // ================ Factory method ================ //
 
   /**
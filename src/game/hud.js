@@ -0,0 +1,145 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Hud class to display information about the game over the
+ * game canvas.
+ */
+
+import constants from '../constants.js'
+
+import { removeAllChildNodes } from '../helpers/dom-helpers.js'
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ *
+ * @typedef {Object} HudStats
+ * @prop {string} name The name of the player.
+ * @prop {string} team The team of the player.
+ * @prop {Vector2DLike} position The position of the player.
+ * @prop {number} fps The current frames per second.
+ * @prop {number|null} latency The round trip time to the server, in
+ * milliseconds, or null if it hasn't been measured yet.
+ * @prop {number} pendingInputs How many inputs the server hasn't acknowledged.
+ *
+ * @typedef {Object} HudOpts
+ * @prop {HTMLElement} elem The element to display the HUD in.
+ * @prop {number} [updateInterval] How often the HUD is updated, in milliseconds.
+ * Defaults to ``constants.GAME_CONSTANTS.HUD_UPDATE_INTERVAL``.
+ */
+
+const FIELDS = Object.freeze({
+  name: 'Name',
+  team: 'Team',
+  position: 'Position',
+  fps: 'FPS',
+  latency: 'Latency',
+  pendingInputs: 'Pending inputs'
+})
+
+/**
+ * Formats the specified stats for display.
+ * @param {HudStats} stats The stats to format.
+ * @returns {Record<keyof FIELDS, string>}
+ */
+function formatStats (stats) {
+  return {
+    name: stats.name,
+    team: stats.team,
+    position: `${Math.round(stats.position.x)}, ${Math.round(stats.position.y)}`,
+    fps: String(Math.round(stats.fps)),
+    latency: stats.latency === null ? '-' : `${Math.round(stats.latency)}ms`,
+    pendingInputs: String(stats.pendingInputs)
+  }
+}
+
+/**
+ * Hud class.
+ */
+export default class Hud {
+  /**
+   * Creates a new Hud object. The Hud class displays information about the
+   * player and the connection in a DOM overlay.
+   * @param {HudOpts} opts Required options.
+   */
+  constructor (opts) {
+    this._elem = opts.elem
+    this._updateInterval = opts.updateInterval ?? constants.GAME_CONSTANTS.HUD_UPDATE_INTERVAL
+    this._lastUpdate = -Infinity
+
+    /**
+     * The text nodes that display the value of each field.
+     * @type {Record<string, Text>}
+     */
+    this._values = {}
+    this.visible = true
+
+    this._build()
+  }
+
+  /**
+   * Creates the elements of the HUD.
+   * @private
+   */
+  _build () {
+    removeAllChildNodes(this._elem)
+
+    for (const [field, label] of Object.entries(FIELDS)) {
+      const row = document.createElement('p')
+      const labelElem = document.createElement('span')
+      const valueElem = document.createElement('span')
+
+      row.classList.add('game-hud__row')
+      labelElem.classList.add('game-hud__label')
+      labelElem.appendChild(document.createTextNode(`${label}:`))
+
+      this._values[field] = document.createTextNode('-')
+      valueElem.appendChild(this._values[field])
+
+      row.appendChild(labelElem)
+      row.appendChild(valueElem)
+      this._elem.appendChild(row)
+    }
+
+    this._elem.classList.toggle('hidden', !this.visible)
+  }
+
+  /**
+   * Updates the information displayed on the HUD. Updates are throttled, so
+   * that the DOM isn't touched every frame.
+   * @param {number} currentTime The current time, in milliseconds.
+   * @param {HudStats} stats The information to display.
+   */
+  update (currentTime, stats) {
+    if (!this.visible || currentTime - this._lastUpdate < this._updateInterval) {
+      return
+    }
+
+    this._lastUpdate = currentTime
+
+    for (const [field, value] of Object.entries(formatStats(stats))) {
+      if (this._values[field].data !== value) {
+        this._values[field].data = value
+      }
+    }
+  }
+
+  /**
+   * Shows or hides the HUD.
+   * @param {boolean} [visible] Whether the HUD should be visible. If not
+   * specified, the HUD's visibility is toggled.
+   */
+  toggle (visible = !this.visible) {
+    this.visible = visible
+    // Update as soon as possible when shown again.
+    this._lastUpdate = -Infinity
+    this._elem.classList.toggle('hidden', !visible)
+  }
+
+  /**
+   * Removes the HUD's elements.
+   */
+  destroy () {
+    removeAllChildNodes(this._elem)
+    this._elem.classList.add('hidden')
+    this._values = {}
+  }
+}
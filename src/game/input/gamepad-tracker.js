@@ -0,0 +1,221 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Low-level GamepadTracker class that polls a gamepad, and tracks
+ * which of its controls are pressed.
+ */
+
+import debugFactory from 'debug'
+
+import constants from '../../constants.js'
+import EventEmitter from '../../helpers/event-emitter.js'
+
+const debug = debugFactory('cw-client:input:gamepad')
+
+/**
+ * The names of the buttons of a gamepad with the standard mapping, in the
+ * order they're found in ``Gamepad.buttons``.
+ */
+const BUTTONS = Object.freeze([
+  'a', 'b', 'x', 'y',
+  'lb', 'rb', 'lt', 'rt',
+  'back', 'start', 'ls', 'rs',
+  'dpadUp', 'dpadDown', 'dpadLeft', 'dpadRight',
+  'home'
+])
+/**
+ * The names of the sticks of a gamepad with the standard mapping, and the
+ * indices of their X and Y axes in ``Gamepad.axes``.
+ */
+const STICKS = Object.freeze([
+  ['leftStick', 0, 1],
+  ['rightStick', 2, 3]
+])
+/**
+ * How far a stick has to point along an axis, relative to how far it's pushed,
+ * to count as pushed in that direction. This is sin(22.5°), so that every stick
+ * has 8 equally sized directions.
+ */
+const DIRECTION_THRESHOLD = Math.sin(Math.PI / 8)
+
+/**
+ * The names of all the controls that could be bound: every button, and every
+ * direction every stick could be pushed in.
+ * @type {ReadonlyArray<string>}
+ */
+export const GAMEPAD_CONTROLS = Object.freeze([
+  ...BUTTONS,
+  ...STICKS.flatMap(([stick]) => (
+    ['Up', 'Down', 'Left', 'Right'].map(direction => `${stick}${direction}`)
+  ))
+])
+
+/**
+ * @typedef {Object} GamepadState
+ * @prop {Array<string>} controlsPressed The names of every control that is
+ * pressed.
+ *
+ * @typedef {Object} GamepadTrackerOptions
+ * @prop {number} [deadZone] How far a stick has to be pushed (from 0 to 1)
+ * before it counts. Defaults to ``constants.GAME_CONSTANTS.GAMEPAD.DEAD_ZONE``.
+ */
+
+/**
+ * GamepadTracker class.
+ * @extends EventEmitter
+ */
+export default class GamepadTracker extends EventEmitter {
+  /**
+   * Low-level GamepadTracker class that tracks which controls of a gamepad are
+   * pressed.
+   *
+   * Browsers don't fire events when gamepad controls change, so the gamepad
+   * has to be polled with ``.poll()``, preferably every frame.
+   * @param {GamepadTrackerOptions} [opts] Options.
+   */
+  constructor (opts = {}) {
+    super()
+
+    this.deadZone = opts.deadZone ?? constants.GAME_CONSTANTS.GAMEPAD.DEAD_ZONE
+    /**
+     * @type {Array<string>}
+     */
+    this.controlsPressed = []
+    /**
+     * The index of the gamepad being tracked, or null if we'll use the first
+     * one that is connected.
+     * @type {number|null}
+     */
+    this.gamepadIndex = null
+
+    this._onGamepadConnected = this.onGamepadConnected.bind(this)
+    this._onGamepadDisconnected = this.onGamepadDisconnected.bind(this)
+  }
+
+  /**
+   * Gets the gamepad being tracked, if any is connected.
+   * @returns {Gamepad|null}
+   * @private
+   */
+  _getGamepad () {
+    // Not every browser supports gamepads.
+    const gamepads = navigator.getGamepads ? [...navigator.getGamepads()] : []
+
+    if (this.gamepadIndex !== null && gamepads[this.gamepadIndex]?.connected) {
+      return gamepads[this.gamepadIndex]
+    }
+
+    return gamepads.find(gamepad => gamepad?.connected) || null
+  }
+
+  /**
+   * Gets the names of every control of the specified gamepad that is pressed.
+   * Sticks that are pushed less than the dead zone don't count.
+   * @param {Gamepad} gamepad The gamepad.
+   * @returns {Array<string>}
+   * @private
+   */
+  _getControls (gamepad) {
+    const controls = BUTTONS.filter((_, i) => gamepad.buttons[i]?.pressed)
+
+    for (const [stick, xAxis, yAxis] of STICKS) {
+      const x = gamepad.axes[xAxis] ?? 0
+      const y = gamepad.axes[yAxis] ?? 0
+      const distance = Math.hypot(x, y)
+      if (distance < this.deadZone) {
+        continue
+      }
+
+      if (y / distance <= -DIRECTION_THRESHOLD) {
+        controls.push(`${stick}Up`)
+      } else if (y / distance >= DIRECTION_THRESHOLD) {
+        controls.push(`${stick}Down`)
+      }
+      if (x / distance <= -DIRECTION_THRESHOLD) {
+        controls.push(`${stick}Left`)
+      } else if (x / distance >= DIRECTION_THRESHOLD) {
+        controls.push(`${stick}Right`)
+      }
+    }
+
+    return controls
+  }
+
+  /**
+   * Reads the current state of the gamepad, emitting ``controlDown`` and
+   * ``controlUp`` for every control that changed, and ``input`` if anything
+   * changed at all.
+   */
+  poll () {
+    const gamepad = this._getGamepad()
+    const pressed = gamepad ? this._getControls(gamepad) : []
+    const down = pressed.filter(control => !this.controlsPressed.includes(control))
+    const up = this.controlsPressed.filter(control => !pressed.includes(control))
+
+    if (down.length < 1 && up.length < 1) {
+      return
+    }
+
+    this.controlsPressed = pressed
+
+    down.forEach(control => this.emit('controlDown', control))
+    up.forEach(control => this.emit('controlUp', control))
+    this.emit('input', { controlsPressed: this.controlsPressed })
+  }
+
+  /**
+   * Handles a `gamepadconnected` event. The first gamepad that is connected is
+   * the one that is tracked.
+   * @param {GamepadEvent} event The event to handle.
+   */
+  onGamepadConnected (event) {
+    debug('Gamepad %d connected: %s', event.gamepad.index, event.gamepad.id)
+
+    if (this.gamepadIndex === null) {
+      this.gamepadIndex = event.gamepad.index
+    }
+  }
+
+  /**
+   * Handles a `gamepaddisconnected` event. Every control of the gamepad is
+   * released the next time the gamepad is polled.
+   * @param {GamepadEvent} event The event to handle.
+   */
+  onGamepadDisconnected (event) {
+    debug('Gamepad %d disconnected', event.gamepad.index)
+
+    if (this.gamepadIndex === event.gamepad.index) {
+      this.gamepadIndex = null
+    }
+  }
+
+  /**
+   * Starts listening for gamepads being connected and disconnected.
+   */
+  applyEventHandlers () {
+    window.addEventListener('gamepadconnected', this._onGamepadConnected)
+    window.addEventListener('gamepaddisconnected', this._onGamepadDisconnected)
+  }
+
+  /**
+   * Removes the event handlers applied by ``.applyEventHandlers()``, and
+   * resets the gamepad state.
+   */
+  removeEventHandlers () {
+    window.removeEventListener('gamepadconnected', this._onGamepadConnected)
+    window.removeEventListener('gamepaddisconnected', this._onGamepadDisconnected)
+
+    this.controlsPressed = []
+    this.gamepadIndex = null
+  }
+
+  /**
+   * Factory method for a GamepadTracker class.
+   * @param {GamepadTrackerOptions} [opts] Options.
+   * @returns {GamepadTracker}
+   */
+  static create (opts) {
+    const tracker = new GamepadTracker(opts)
+    tracker.applyEventHandlers()
+    return tracker
+  }
+}
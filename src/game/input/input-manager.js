@@ -6,18 +6,60 @@
 import debugFactory from 'debug'
 
 import EventEmitter from '../../helpers/event-emitter.js'
+import { GAMEPAD_CONTROLS } from './gamepad-tracker.js'
 
 const debug = debugFactory('cw-client:input:manager')
 
 /**
+ * The mouse buttons that could be bound, and where their state is found in the
+ * input tracker's mouse data.
+ */
+const MOUSE_BUTTONS = Object.freeze({
+  left: 'leftMousePressed',
+  middle: 'middleMousePressed',
+  right: 'rightMousePressed'
+})
+/**
+ * The input tracker state to use before the input tracker has reported
+ * anything.
+ * @type {import('./input-tracker').InputState}
+ */
+const EMPTY_TRACKER_STATE = Object.freeze({
+  inputType: 'key',
+  keysPressed: [],
+  mouseData: {
+    leftMousePressed: false,
+    middleMousePressed: false,
+    rightMousePressed: false,
+    buttonsPressed: [],
+    mouseCoords: [0, 0],
+    mouseOver: false,
+    wheelDelta: [0, 0]
+  }
+})
+
+/**
+ * @typedef {keyof MOUSE_BUTTONS} MouseButton
+ *
+ * @typedef {Object} MouseState
+ * @prop {import('colonialwars-lib/math').Vector2DLike} position The position
+ * of the mouse on the canvas, in CSS pixels.
+ * @prop {boolean} over Whether the mouse is over the canvas.
+ * @prop {Record<string, boolean>} buttons An object of which mouse bindings
+ * have and have not been toggled.
+ * @prop {import('colonialwars-lib/math').Vector2DLike} wheelDelta How far the
+ * mouse wheel was scrolled, in pixels. Always zero unless this input was
+ * caused by the wheel.
+ *
  * @typedef {Object} InputState
- * @prop {null} mouse
+ * @prop {MouseState} mouse
  * @prop {Record<string, boolean>} keys An object of which bindings have and have
- * not been toggled.
+ * not been toggled. This includes gamepad bindings.
  *
  * @typedef {Object} InputManagerOptions
  * @prop {import('./input-tracker').default} tracker The input tracker object to use.
- * @prop {DirectionBindings} directionBindings
+ * @prop {import('./gamepad-tracker').default} [gamepadTracker] The gamepad
+ * tracker object to use. If not specified, gamepads aren't supported.
  */
 
 /**
@@ -30,12 +72,21 @@ export default class InputManager extends EventEmitter {
    * @param {InputManagerOptions} opts Options.
    */
   constructor (opts) {
-    const { tracker } = opts
+    const { tracker, gamepadTracker } = opts
 
     super()
 
     this._mouseClicks = 0
     this._tracker = tracker
+    this._gamepadTracker = gamepadTracker || null
+    /**
+     * The latest states reported by the trackers. Input from one tracker is
+     * reported together with the latest input from the other.
+     * @type {import('./input-tracker').InputState}
+     */
+    this._trackerState = EMPTY_TRACKER_STATE
+    /** @type {Array<string>} */
+    this._controlsPressed = []
 
     /**
      * A map of all the bound keys and their respective names.
@@ -43,8 +94,25 @@ export default class InputManager extends EventEmitter {
      * @private
      */
     this._bindings = new Map()
+    /**
+     * A map of all the bound mouse buttons and their respective names.
+     * @type {Map<MouseButton, string>}
+     * @private
+     */
+    this._mouseBindings = new Map()
+    /**
+     * A map of all the bound gamepad controls and their respective names.
+     * @type {Map<string, string>}
+     * @private
+     */
+    this._gamepadBindings = new Map()
 
-    this._tracker.on('input', this._onInput.bind(this))
+    this._onInput = this._onInput.bind(this)
+    this._onGamepadInput = this._onGamepadInput.bind(this)
+    this._tracker.on('input', this._onInput)
+    if (this._gamepadTracker) {
+      this._gamepadTracker.on('input', this._onGamepadInput)
+    }
   }
 
   /**
@@ -53,37 +121,87 @@ export default class InputManager extends EventEmitter {
    * @private
    */
   _onInput (state) {
-    if (state.inputType === 'mouse') {
-      // Ignore mouse input for now.
-      return
-    }
+    this._trackerState = state
+    this._emitInput(state)
+  }
 
+  /**
+   * Processes a gamepad input event.
+   * @param {import('./gamepad-tracker').GamepadState} state The current
+   * gamepad state.
+   * @private
+   */
+  _onGamepadInput (state) {
+    this._controlsPressed = state.controlsPressed
+    // The wheel was only scrolled in the tracker's last input, not now.
+    this._emitInput({
+      ...this._trackerState,
+      mouseData: { ...this._trackerState.mouseData, wheelDelta: [0, 0] }
+    })
+  }
+
+  /**
+   * Emits the bindings that are toggled by the specified input tracker state
+   * and the latest gamepad state.
+   * @param {import('./input-tracker').InputState} state The input tracker state.
+   * @private
+   */
+  _emitInput (state) {
+    const mouseData = state.mouseData
+    /** @type {InputState} */
     const ret = {
-      mouse: null,
+      mouse: {
+        position: {
+          x: mouseData.mouseCoords[0],
+          y: mouseData.mouseCoords[1]
+        },
+        over: mouseData.mouseOver,
+        buttons: {},
+        wheelDelta: {
+          x: mouseData.wheelDelta[0],
+          y: mouseData.wheelDelta[1]
+        }
+      },
       keys: {}
     }
     for (const [key, name] of this._bindings.entries()) {
-      ret.keys[name] = state.keysPressed.includes(key)
+      // Multiple keys could be bound to the same name, so the binding is
+      // toggled if *any* of them are pressed.
+      ret.keys[name] = ret.keys[name] || state.keysPressed.includes(key)
+    }
+    for (const [control, name] of this._gamepadBindings.entries()) {
+      ret.keys[name] = ret.keys[name] || this._controlsPressed.includes(control)
+    }
+    for (const [button, name] of this._mouseBindings.entries()) {
+      ret.mouse.buttons[name] = ret.mouse.buttons[name] ||
+        Boolean(mouseData[MOUSE_BUTTONS[button]])
     }
 
     this.emit('input', ret)
   }
 
   /**
-   * Binds the specified key to a name.
+   * Binds the specified key(s) to a name.
    *
-   * Whenever the key is pressed/unpressed, the name will be used to refer to it.
-   * @param {string} key The key to bind.
+   * Whenever any of the keys are pressed/unpressed, the name will be used to
+   * refer to it. Keys are case-insensitive.
+   * @param {string|Array<string>} keys The key or keys to bind.
    * @param {string} to The name of the binding.
    */
-  bind (key, to) {
-    if (this._bindings.has(key)) {
-      throw new Error('Binding already exists!')
+  bind (keys, to) {
+    const normalized = [].concat(keys).map(key => key.toLowerCase())
+
+    for (const key of normalized) {
+      if (this._bindings.has(key) && this._bindings.get(key) !== to) {
+        throw new Error('Binding already exists!')
+      }
     }
 
-    this._bindings.set(key, to)
+    for (const key of normalized) {
+      this._bindings.set(key, to)
 
-    debug('Bound key "%s" to name "%s"', key, to)
+      debug('Bound key "%s" to name "%s"', key, to)
+    }
   }
 
   /**
@@ -93,23 +211,125 @@ export default class InputManager extends EventEmitter {
    * @param {string} key The key to unbind.
    */
   unbind (key) {
-    this._bindings.delete(key)
+    this._bindings.delete(key.toLowerCase())
 
     debug('Unbound key "%s"', key)
   }
 
   /**
-   * Gets the key associated with the specified binding, or null if none exists.
+   * Binds the specified mouse button(s) to a name.
+   *
+   * Whenever any of the buttons are pressed/unpressed, the name will be used
+   * to refer to it.
+   * @param {MouseButton|Array<MouseButton>} buttons The button or buttons to bind.
+   * @param {string} to The name of the binding.
+   */
+  bindMouse (buttons, to) {
+    const normalized = [].concat(buttons)
+
+    for (const button of normalized) {
+      if (!(button in MOUSE_BUTTONS)) {
+        throw new TypeError(`Unknown mouse button "${button}"!`)
+      }
+      if (this._mouseBindings.has(button) && this._mouseBindings.get(button) !== to) {
+        throw new Error('Binding already exists!')
+      }
+    }
+
+    for (const button of normalized) {
+      this._mouseBindings.set(button, to)
+
+      debug('Bound mouse button "%s" to name "%s"', button, to)
+    }
+  }
+
+  /**
+   * Unbinds the specified mouse button.
+   * @param {MouseButton} button The button to unbind.
+   */
+  unbindMouse (button) {
+    this._mouseBindings.delete(button)
+
+    debug('Unbound mouse button "%s"', button)
+  }
+
+  /**
+   * Binds the specified gamepad control(s) to a name.
+   *
+   * Gamepad bindings are reported together with key bindings, so a control
+   * could be bound to the same name as a key.
+   * @param {string|Array<string>} controls The control or controls to bind. See
+   * ``GAMEPAD_CONTROLS`` in ``./gamepad-tracker.js`` for their names.
+   * @param {string} to The name of the binding.
+   */
+  bindGamepad (controls, to) {
+    const normalized = [].concat(controls)
+
+    for (const control of normalized) {
+      if (!GAMEPAD_CONTROLS.includes(control)) {
+        throw new TypeError(`Unknown gamepad control "${control}"!`)
+      }
+      if (this._gamepadBindings.has(control) && this._gamepadBindings.get(control) !== to) {
+        throw new Error('Binding already exists!')
+      }
+    }
+
+    for (const control of normalized) {
+      this._gamepadBindings.set(control, to)
+
+      debug('Bound gamepad control "%s" to name "%s"', control, to)
+    }
+  }
+
+  /**
+   * Unbinds the specified gamepad control.
+   * @param {string} control The control to unbind.
+   */
+  unbindGamepad (control) {
+    this._gamepadBindings.delete(control)
+
+    debug('Unbound gamepad control "%s"', control)
+  }
+
+  /**
+   * Gets the first key associated with the specified binding, or null if none
+   * exists.
    * @param {string} binding The name of the binding.
    * @returns {string|null}
    */
   getKey (binding) {
+    return this.getKeys(binding)[0] ?? null
+  }
+
+  /**
+   * Gets all the keys associated with the specified binding.
+   * @param {string} binding The name of the binding.
+   * @returns {Array<string>}
+   */
+  getKeys (binding) {
+    const keys = []
+
     for (const [key, name] of this._bindings.entries()) {
       if (name === binding) {
-        return key
+        keys.push(key)
       }
     }
 
-    return null
+    return keys
+  }
+
+  /**
+   * Stops listening to the input tracker, and removes all bindings and
+   * listeners. The InputManager cannot be used afterwards.
+   */
+  destroy () {
+    this._tracker.removeListener('input', this._onInput)
+    if (this._gamepadTracker) {
+      this._gamepadTracker.removeListener('input', this._onGamepadInput)
+    }
+    this._bindings.clear()
+    this._mouseBindings.clear()
+    this._gamepadBindings.clear()
+    this.removeAllListeners()
   }
 }
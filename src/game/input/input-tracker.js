@@ -6,14 +6,39 @@
 
 import EventEmitter from '../../helpers/event-emitter.js'
 
+/**
+ * The bits of ``MouseEvent.buttons`` for every value of ``MouseEvent.button``.
+ * Note that the middle and right buttons are swapped between the two.
+ */
+const BUTTON_BITS = Object.freeze([
+  [0, 1], // Left
+  [1, 4], // Middle
+  [2, 2], // Right
+  [3, 8], // Back
+  [4, 16] // Forward
+])
+/**
+ * How many pixels a line or a page is, for wheel events that aren't measured
+ * in pixels.
+ */
+const WHEEL_LINE_HEIGHT = 16
+const WHEEL_PAGE_HEIGHT = 800
+
 /**
   * @typedef {Object} InputState
-  * @prop {'key'|'mouse'} inputType
+  * @prop {'key'|'mouse'|'wheel'} inputType
   * @prop {Array<string>} keysPressed
   * @prop {Object} mouseData
   * @prop {boolean} mouseData.leftMousePressed
+  * @prop {boolean} mouseData.middleMousePressed
   * @prop {boolean} mouseData.rightMousePressed
+  * @prop {Array<number>} mouseData.buttonsPressed The values of
+  * ``MouseEvent.button`` of every button that is pressed.
   * @prop {Array<number>} mouseData.mouseCoords
+  * @prop {boolean} mouseData.mouseOver Whether the mouse is over the element
+  * that mouse input is tracked on.
+  * @prop {Array<number>} mouseData.wheelDelta How far the wheel was scrolled,
+  * in pixels. Always zero unless ``inputType`` is ``wheel``.
   */
 
 /**
@@ -32,9 +57,88 @@ export default class InputTracker extends EventEmitter {
       * @type {Array<string>}
       */
     this.keysPressed = []
+    /**
+     * The values of ``MouseEvent.button`` of every button that is pressed.
+     * @type {Array<number>}
+     */
+    this.buttonsPressed = []
     this.leftMouseDown = false
+    this.middleMouseDown = false
     this.rightMouseDown = false
     this.mousePosition = [0, 0]
+    this.mouseOver = false
+
+    /**
+     * The DOM event handlers that have been applied, so they could be removed
+     * later.
+     * @type {Array<[Element, string, (e: Event) => void, AddEventListenerOptions?]>}
+     * @private
+     */
+    this._handlers = []
+  }
+
+  /**
+   * Creates an object describing the current input state.
+   * @param {InputState['inputType']} inputType The type of input that happened.
+   * @param {Array<number>} [wheelDelta=[0, 0]] How far the wheel was scrolled.
+   * @returns {InputState}
+   * @private
+   */
+  _createState (inputType, wheelDelta = [0, 0]) {
+    return {
+      inputType,
+      keysPressed: this.keysPressed,
+      mouseData: {
+        leftMousePressed: this.leftMouseDown,
+        middleMousePressed: this.middleMouseDown,
+        rightMousePressed: this.rightMouseDown,
+        buttonsPressed: this.buttonsPressed,
+        mouseCoords: this.mousePosition,
+        mouseOver: this.mouseOver,
+        wheelDelta
+      }
+    }
+  }
+
+  /**
+   * Updates which mouse buttons are pressed, emitting ``mouseButtonDown`` and
+   * ``mouseButtonUp`` for every button that changed.
+   * @param {number} buttons A bit mask of the pressed buttons, as found in
+   * ``MouseEvent.buttons``.
+   * @returns {boolean} Whether any button changed.
+   * @private
+   */
+  _updateButtons (buttons) {
+    const pressed = BUTTON_BITS
+      .filter(([, bit]) => (buttons & bit) !== 0)
+      .map(([button]) => button)
+    const down = pressed.filter(button => !this.buttonsPressed.includes(button))
+    const up = this.buttonsPressed.filter(button => !pressed.includes(button))
+
+    if (down.length < 1 && up.length < 1) {
+      return false
+    }
+
+    this.buttonsPressed = pressed
+    this.leftMouseDown = pressed.includes(0)
+    this.middleMouseDown = pressed.includes(1)
+    this.rightMouseDown = pressed.includes(2)
+
+    down.forEach(button => this.emit('mouseButtonDown', button))
+    up.forEach(button => this.emit('mouseButtonUp', button))
+
+    return true
+  }
+
+  /**
+   * Updates the mouse position from a mouse event.
+   * @param {MouseEvent} event The event.
+   * @private
+   */
+  _updateMousePosition (event) {
+    this.mousePosition[0] = event.offsetX
+    this.mousePosition[1] = event.offsetY
+    this.mouseOver = true
   }
 
   /**
@@ -50,17 +154,8 @@ export default class InputTracker extends EventEmitter {
 
     this.keysPressed.push(key)
 
-    const state = {
-      inputType: 'key',
-      keysPressed: this.keysPressed,
-      mouseData: {
-        leftMousePressed: this.leftMouseDown,
-        rightMousePressed: this.rightMouseDown,
-        mouseCoords: this.mousePosition
-      }
-    }
     this.emit('keyDown', key)
-    this.emit('input', state)
+    this.emit('input', this._createState('key'))
   }
 
   /**
@@ -76,120 +171,161 @@ export default class InputTracker extends EventEmitter {
 
     this.keysPressed.splice(this.keysPressed.indexOf(key), 1)
 
-    const state = {
-      inputType: 'key',
-      keysPressed: this.keysPressed,
-      mouseData: {
-        leftMousePressed: this.leftMouseDown,
-        rightMousePressed: this.rightMouseDown,
-        mouseCoords: this.mousePosition
-      }
-    }
     this.emit('keyUp', key)
-    this.emit('input', state)
+    this.emit('input', this._createState('key'))
   }
 
   /**
-    * Handles a `mousedown` event.
-    * @param {MouseEvent} event The Mouse event to handle.
+    * Handles a `pointerdown` event.
+    *
+    * The pointer is captured, so that we still find out when the button is
+    * released even if the cursor has left the element.
+    * @param {PointerEvent} event The pointer event to handle.
     */
-  onMouseDown (event) {
+  onPointerDown (event) {
     event.preventDefault()
-    if (event.button === 0) {
-      this.leftMouseDown = true
-    }
-    if (event.button === 1) {
-      this.rightMouseDown = true
+    this._updateMousePosition(event)
+
+    if (event.currentTarget instanceof Element) {
+      event.currentTarget.setPointerCapture(event.pointerId)
     }
-    const state = {
-      inputType: 'mouse',
-      keysPressed: this.keysPressed,
-      mouseData: {
-        leftMousePressed: this.leftMouseDown,
-        rightMousePressed: this.rightMouseDown,
-        mouseCoords: this.mousePosition
-      }
+    if (this._updateButtons(event.buttons)) {
+      this.emit('input', this._createState('mouse'))
     }
-    this.emit('mouseButtonDown', event.button)
-    this.emit('input', state)
   }
 
   /**
-    * Handles a `mouseup` event.
-    * @param {MouseEvent} event The Mouse event to handle.
+    * Handles a `pointerup` event.
+    * @param {PointerEvent} event The pointer event to handle.
     */
-  onMouseUp (event) {
+  onPointerUp (event) {
     event.preventDefault()
-    if (event.button === 0) {
-      this.leftMouseDown = false
-    }
-    if (event.button === 1) {
-      this.rightMouseDown = false
-    }
-    const state = {
-      inputType: 'mouse',
-      keysPressed: this.keysPressed,
-      mouseData: {
-        leftMousePressed: this.leftMouseDown,
-        rightMousePressed: this.rightMouseDown,
-        mouseCoords: this.mousePosition
-      }
+    this._updateMousePosition(event)
+
+    if (this._updateButtons(event.buttons)) {
+      this.emit('input', this._createState('mouse'))
     }
-    this.emit('mouseButtonUp', event.button)
-    this.emit('input', state)
   }
 
   /**
-    * Handles a `mousemove` event.
-    * @param {MouseEvent} event The Mouse event to handle.
+    * Handles a `pointermove` event.
+    *
+    * Pressing or releasing a button while another button is pressed only fires
+    * a `pointermove` event, so buttons are updated here too.
+    * @param {PointerEvent} event The pointer event to handle.
     */
-  onMouseMove (event) {
+  onPointerMove (event) {
     event.preventDefault()
-    this.mousePosition[0] = event.offsetX
-    this.mousePosition[1] = event.offsetY
+    this._updateMousePosition(event)
+    this._updateButtons(event.buttons)
 
-    const state = {
-      inputType: 'mouse',
-      keysPressed: this.keysPressed,
-      mouseData: {
-        leftMousePressed: this.leftMouseDown,
-        rightMousePressed: this.rightMouseDown,
-        mouseCoords: this.mousePosition
-      }
-    }
     this.emit('mouseMove', this.mousePosition.slice())
-    this.emit('input', state)
+    this.emit('input', this._createState('mouse'))
+  }
+
+  /**
+    * Handles `lostpointercapture` and `pointercancel` events. Every button is
+    * released, since we won't find out when they actually are.
+    */
+  onPointerLost () {
+    if (this._updateButtons(0)) {
+      this.emit('input', this._createState('mouse'))
+    }
+  }
+
+  /**
+    * Handles a `pointerleave` event.
+    */
+  onPointerLeave () {
+    this.mouseOver = false
+    this.emit('input', this._createState('mouse'))
+  }
+
+  /**
+    * Handles a `wheel` event. Page scrolling is prevented.
+    * @param {WheelEvent} event The wheel event to handle.
+    */
+  onWheel (event) {
+    event.preventDefault()
+    this._updateMousePosition(event)
+
+    const scale = event.deltaMode === WheelEvent.DOM_DELTA_LINE
+      ? WHEEL_LINE_HEIGHT
+      : event.deltaMode === WheelEvent.DOM_DELTA_PAGE
+        ? WHEEL_PAGE_HEIGHT
+        : 1
+    const delta = [event.deltaX * scale, event.deltaY * scale]
+
+    this.emit('wheel', delta.slice())
+    this.emit('input', this._createState('wheel', delta))
+  }
+
+  /**
+    * Handles a `contextmenu` event, so that right-clicking doesn't open the
+    * browser's context menu.
+    * @param {MouseEvent} event The event to handle.
+    */
+  onContextMenu (event) {
+    event.preventDefault()
   }
 
   /**
     * Applies the event handlers to elements in the DOM.
     * @param {Element} keyElement The element to track keypresses on.
-    * @param {Element} mouseClickElement The element to track mouse clicks on.
-    * @param {Element} mouseMoveElement The element to track mouse movement
-    * relative to.
+    * @param {Element} mouseElement The element to track mouse buttons, the
+    * mouse wheel, and mouse movement relative to.
     */
-  applyEventHandlers (keyElement, mouseClickElement, mouseMoveElement) {
-    keyElement.addEventListener('keydown', this.onKeyDown.bind(this))
-    keyElement.addEventListener('keyup', this.onKeyUp.bind(this))
-    mouseClickElement.addEventListener(
-      'mousedown', this.onMouseDown.bind(this)
+  applyEventHandlers (keyElement, mouseElement) {
+    const onPointerLost = this.onPointerLost.bind(this)
+
+    this._handlers.push(
+      [keyElement, 'keydown', this.onKeyDown.bind(this)],
+      [keyElement, 'keyup', this.onKeyUp.bind(this)],
+      [mouseElement, 'pointerdown', this.onPointerDown.bind(this)],
+      [mouseElement, 'pointerup', this.onPointerUp.bind(this)],
+      [mouseElement, 'pointermove', this.onPointerMove.bind(this)],
+      [mouseElement, 'pointerleave', this.onPointerLeave.bind(this)],
+      [mouseElement, 'pointercancel', onPointerLost],
+      [mouseElement, 'lostpointercapture', onPointerLost],
+      // Wheel listeners are passive by default, which doesn't allow us to
+      // stop the page from scrolling.
+      [mouseElement, 'wheel', this.onWheel.bind(this), { passive: false }],
+      [mouseElement, 'contextmenu', this.onContextMenu.bind(this)]
     )
-    mouseClickElement.addEventListener('mouseup', this.onMouseUp.bind(this))
-    mouseMoveElement.setAttribute('tabindex', 1)
-    mouseMoveElement.addEventListener('mousemove', this.onMouseMove.bind(this))
+
+    mouseElement.setAttribute('tabindex', 1)
+    for (const [elem, type, handler, options] of this._handlers) {
+      elem.addEventListener(type, handler, options)
+    }
+  }
+
+  /**
+    * Removes all the event handlers applied by ``.applyEventHandlers()``, and
+    * resets the input state.
+    */
+  removeEventHandlers () {
+    for (const [elem, type, handler, options] of this._handlers.splice(0)) {
+      elem.removeEventListener(type, handler, options)
+    }
+
+    this.keysPressed.splice(0)
+    this.buttonsPressed = []
+    this.leftMouseDown = false
+    this.middleMouseDown = false
+    this.rightMouseDown = false
+    this.mouseOver = false
   }
 
   /**
     * Factory method for an InputTracker class.
-    * @param {Element} keyElement The element to listen for keypresses
-    * and mouse clicks on.
-    * @param {Element} mouseMoveElement The element to track mouse
-    * coordinates relative to.
+    * @param {Element} keyElement The element to listen for keypresses on.
+    * @param {Element} mouseElement The element to listen for mouse input on,
+    * and track mouse coordinates relative to.
     * @returns {InputTracker}
     */
-  static create (keyElement, mouseMoveElement) {
+  static create (keyElement, mouseElement) {
     const input = new InputTracker()
-    input.applyEventHandlers(keyElement, keyElement, mouseMoveElement)
+    input.applyEventHandlers(keyElement, mouseElement)
     return input
   }
 }
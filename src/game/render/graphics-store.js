@@ -3,8 +3,13 @@
  * @fileoverview A class to handle loading graphics and animations.
  */
 
+import debugFactory from 'debug'
+
 import { ImageSlicer } from '../../helpers/image-helpers.js'
 
+const debug = debugFactory('cw-client:graphics-store')
+const STATIC_IMGS = ['mainImg', 'damaged1Img', 'damaged2Img', 'constructing1Img']
+
 /**
  * @typedef {import('../../apps/play-app').Graphic} Graphic
  * @typedef {'mainImg'|'damaged1Img'|'damaged2Img'|'constructing1Img'} ImgType
@@ -12,8 +17,9 @@ import { ImageSlicer } from '../../helpers/image-helpers.js'
  *
  * @typedef {Object} AnimationHandle
  * @prop {number} numFrames The number of frames in this animation.
- * @prop {(frame: number) => Promise<ImageBitmap>} frame Gets the specified
- * frame of this animation. Throws an error if the frame ID is out of bounds.
+ * @prop {(frame: number, angle?: number) => Promise<ImageBitmap>} frame Gets
+ * the specified frame of this animation, facing the specified angle (0 by
+ * default). Throws an error if the frame ID or angle is out of bounds.
  *
  * @typedef {Object} GraphicHandle A handle to a graphic.
  * @prop {number} angles The number of angles this graphic has.
@@ -24,6 +30,9 @@ import { ImageSlicer } from '../../helpers/image-helpers.js'
  *
  * @typedef {Object} CreateAnimationOpts
  * @prop {ImageSlicer} slicer
+ * @prop {number} angles The number of angles of the graphic.
+ *
+ * @typedef {Record<'x'|'y'|'w'|'h', number>} Rect
  *
  * @typedef {Object} GraphicsStoreOpts
  * @prop {import('../../helpers/image-helpers').ImageLoader} imgLoader The image
@@ -46,22 +55,106 @@ export default class GraphicsStore {
   constructor (opts) {
     this._imgLoader = opts.imgLoader
     this._graphicsData = opts.graphicsData
+
+    /**
+     * The slicers of every file that has been requested, so that files are
+     * only loaded and sliced once.
+     * @type {Map<string, Promise<ImageSlicer>>}
+     * @private
+     */
+    this._slicers = new Map()
+    /**
+     * The graphics that failed to preload, and why.
+     * @type {Map<string, Error>}
+     */
+    this.failures = new Map()
   }
 
   /**
-   * Loads the underlying file of the specified graphic.
+   * Gets the slicer of the underlying file of the specified graphic, loading
+   * the file if needed.
    * @param {string} graphic The ID of the graphic.
-   * @returns {Promise<HTMLImageElement>}
+   * @returns {Promise<ImageSlicer>}
    * @private
    */
-  _loadFileOf (graphic) {
+  _getSlicerOf (graphic) {
     const file = this._graphicsData[graphic].file
 
-    return this._imgLoader.loadImg(file)
+    if (!this._slicers.has(file)) {
+      const promise = this._imgLoader.loadImg(file)
+        .then(img => new ImageSlicer(img))
+      // Don't keep failed loads around, so they could be retried.
+      promise.catch(() => this._slicers.delete(file))
+
+      this._slicers.set(file, promise)
+    }
+
+    return this._slicers.get(file)
+  }
+
+  /**
+   * Throws an error if the specified part of a graphic's file is outside of
+   * the file.
+   * @param {string} id The ID of the graphic.
+   * @param {string} name The name of the image or animation.
+   * @param {Rect} rect The part of the file the image or animation is in.
+   * @param {HTMLImageElement} file The file of the graphic.
+   * @private
+   */
+  _checkBounds (id, name, rect, file) {
+    if (
+      rect.x < 0 || rect.y < 0 ||
+      rect.x + rect.w > file.width || rect.y + rect.h > file.height
+    ) {
+      throw new RangeError(
+        `"${name}" of graphic "${id}" is outside of its file "${this._graphicsData[id].file}"!`
+      )
+    }
+  }
+
+  /**
+   * Loads the file of a graphic, and slices all of its images and animation
+   * frames.
+   * @param {string} id The ID of the graphic.
+   * @private
+   */
+  async _preloadGraphic (id) {
+    const graphic = this._graphicsData[id]
+    const handle = await this.getGraphic(id)
+    const file = (await this._getSlicerOf(id)).image
+
+    for (const img of STATIC_IMGS) {
+      if (graphic[img] && graphic[img].w > 0 && graphic[img].h > 0) {
+        this._checkBounds(id, img, graphic[img], file)
+        await handle.image(img)
+      }
+    }
+
+    if (!graphic.hasAnimations) {
+      return
+    }
+
+    for (const [type, animation] of Object.entries(graphic.animations)) {
+      const animHandle = handle.animation(type)
+      if (!animHandle) {
+        continue
+      }
+
+      this._checkBounds(id, type, animation, file)
+      for (let frame = 0; frame < animHandle.numFrames; frame++) {
+        for (let angle = 0; angle < Math.max(1, graphic.angles || 1); angle++) {
+          await animHandle.frame(frame, angle)
+        }
+      }
+    }
   }
 
   /**
    * Creates an animation handle.
+   *
+   * Frames are laid out from left to right, ``frameSize`` pixels apart. If the
+   * graphic has more than one angle, every angle has its own row of frames,
+   * and the rows split the height of the animation evenly.
    * @param {import('../../apps/play-app').DynAnimation} animation The animation
    * to create a handle for.
    * @param {CreateAnimationOpts} opts Required options.
@@ -69,36 +162,76 @@ export default class GraphicsStore {
    * @private
    */
   _createAnimationHandle (animation, opts) {
-    const numFrames = animation.w / animation.frameSize
+    const numFrames = Math.floor(animation.w / animation.frameSize)
+    const angles = Math.max(1, opts.angles || 1)
+    const rowHeight = Math.floor(animation.h / angles)
+
     return {
       numFrames,
-      frame: frameId => {
-        if (frameId < 0 || frameId > numFrames) {
+      frame: (frameId, angle = 0) => {
+        if (!Number.isInteger(frameId) || frameId < 0 || frameId >= numFrames) {
           throw new RangeError('Frame ID out of bounds!')
         }
+        if (!Number.isInteger(angle) || angle < 0 || angle >= angles) {
+          throw new RangeError('Angle out of bounds!')
+        }
 
         return opts.slicer.slice(
-          animation.x, animation.y, animation.w, animation.h
+          animation.x + frameId * animation.frameSize,
+          animation.y + angle * rowHeight,
+          animation.frameSize,
+          rowHeight
         )
       }
     }
   }
 
+  /**
+   * Loads every graphic, and slices all of their images and animation frames,
+   * so that nothing has to be loaded while the game is running.
+   *
+   * Graphics that fail to load are recorded in ``.failures``, which is also
+   * returned.
+   * @param {(progress: number) => void} [onProgress] Called with how much of the
+   * graphics (from 0 to 1) have been loaded.
+   * @returns {Promise<Map<string, Error>>}
+   */
+  async preload (onProgress) {
+    const ids = Object.keys(this._graphicsData)
+    let loaded = 0
+
+    await Promise.all(ids.map(async id => {
+      try {
+        await this._preloadGraphic(id)
+      } catch (ex) {
+        debug('Failed to preload graphic "%s": %O', id, ex)
+        this.failures.set(id, ex)
+      }
+
+      onProgress?.(++loaded / ids.length)
+    }))
+
+    return this.failures
+  }
+
   /**
    * Gets the graphic with the specified ID.
    *
    * The returned value is either an object with methods to load individual
-   * images and animations, or null if the graphic doesn't exist.
+   * images and animations, or null if the graphic doesn't exist. If the
+   * graphic failed to preload, the returned Promise rejects with the reason.
    * @param {string} id The ID of the graphic.
    * @returns {Promise<GraphicHandle|null>}
    */
   async getGraphic (id) {
     if (!(id in this._graphicsData)) {
+      debug('Graphic "%s" does not exist', id)
       return null
+    } else if (this.failures.has(id)) {
+      throw this.failures.get(id)
     }
 
-    const file = await this._loadFileOf(id)
-    const slicer = new ImageSlicer(file)
+    const slicer = await this._getSlicerOf(id)
     const graphic = this._graphicsData[id]
 
     return {
@@ -129,7 +262,10 @@ export default class GraphicsStore {
           return null
         }
 
-        return this._createAnimationHandle(animation, { slicer })
+        return this._createAnimationHandle(animation, {
+          slicer,
+          angles: graphic.angles
+        })
       }
     }
   }
@@ -0,0 +1,263 @@
+/* eslint-env browser */
+/**
+ * @fileoverview MapPainter class to render regions of the map, in a Web Worker
+ * if possible.
+ */
+
+import debugFactory from 'debug'
+
+import { getRegionSize, renderMapRegion } from './map.js'
+
+const debug = debugFactory('cw-client:map-painter')
+
+/**
+ * @typedef {import('./map').MapAssets} MapAssets
+ * @typedef {import('./map').MapRegion} MapRegion
+ *
+ * @typedef {Object} MapPainterOpts
+ * @prop {MapAssets} assets Everything that is needed to render the map.
+ * @prop {boolean} [useWorker] Whether to render the map in a Web Worker if
+ * ``OffscreenCanvas`` is available. Defaults to true.
+ *
+ * @typedef {Object} PendingRender
+ * @prop {(bitmap: ImageBitmap) => void} resolve
+ * @prop {(err: Error) => void} reject
+ * @prop {((progress: number) => void)|undefined} onProgress
+ */
+
+/**
+ * Checks whether the map could be rendered in a Web Worker.
+ * @returns {boolean}
+ */
+function canUseWorker () {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    return false
+  }
+
+  try {
+    // Some browsers have OffscreenCanvas, but no 2D context for it.
+    return Boolean(new OffscreenCanvas(1, 1).getContext('2d'))
+  } catch (ex) {
+    return false
+  }
+}
+
+/**
+ * MapPainter class.
+ */
+export default class MapPainter {
+  /**
+   * Creates a new MapPainter. The MapPainter class renders regions of the map
+   * into images. Rendering happens in a Web Worker when ``OffscreenCanvas`` is
+   * available, and on the main thread otherwise.
+   *
+   * Call ``.init()`` before using the MapPainter.
+   * @param {MapPainterOpts} opts Required options.
+   */
+  constructor (opts) {
+    this._assets = opts.assets
+    this._useWorker = opts.useWorker ?? true
+
+    /** @type {Worker|null} */
+    this._worker = null
+    this._nextId = 0
+    /**
+     * Renders that are waiting for the worker, by ID.
+     * @type {Map<number, PendingRender>}
+     * @private
+     */
+    this._pending = new Map()
+    /**
+     * A cache of tile frames, used when rendering on the main thread.
+     * @type {Map<string, ImageBitmap>}
+     * @private
+     */
+    this._frames = new Map()
+
+    this._onWorkerMessage = this._onWorkerMessage.bind(this)
+    this._onWorkerError = this._onWorkerError.bind(this)
+  }
+
+  /**
+   * Whether the map is being rendered in a Web Worker.
+   * @returns {boolean}
+   */
+  get usingWorker () {
+    return this._worker !== null
+  }
+
+  // ================ Private methods ================ //
+
+  /**
+   * Handles a message from the worker.
+   * @param {MessageEvent} ev The message event.
+   * @private
+   */
+  _onWorkerMessage (ev) {
+    const data = ev.data
+    const pending = this._pending.get(data.id)
+    if (!pending) {
+      return
+    }
+
+    switch (data.type) {
+      case 'progress':
+        pending.onProgress?.(data.progress)
+        break
+      case 'rendered':
+        this._pending.delete(data.id)
+        pending.resolve(data.bitmap)
+        break
+      case 'error':
+        this._pending.delete(data.id)
+        pending.reject(new Error(data.message))
+        break
+    }
+  }
+
+  /**
+   * Handles an error in the worker. The worker can't be trusted to finish any
+   * renders after this, so it is stopped, every pending render is rejected,
+   * and later renders happen on the main thread.
+   * @param {ErrorEvent} ev The error event.
+   * @private
+   */
+  _onWorkerError (ev) {
+    debug('Map worker failed; rendering map on the main thread: %s', ev.message)
+
+    this._stopWorker()
+    this._rejectPending(new Error(ev.message || 'Map worker failed!'))
+  }
+
+  /**
+   * Stops the worker, if it is running.
+   * @private
+   */
+  _stopWorker () {
+    if (!this._worker) {
+      return
+    }
+
+    this._worker.removeEventListener('message', this._onWorkerMessage)
+    this._worker.removeEventListener('error', this._onWorkerError)
+    this._worker.terminate()
+    this._worker = null
+  }
+
+  /**
+   * Rejects every render that is waiting for the worker.
+   * @param {Error} err The error to reject them with.
+   * @private
+   */
+  _rejectPending (err) {
+    for (const pending of this._pending.values()) {
+      pending.reject(err)
+    }
+    this._pending.clear()
+  }
+
+  /**
+   * Starts the worker, and waits for it to be ready.
+   * @returns {Promise<Worker>}
+   * @private
+   */
+  _startWorker () {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(
+        new URL('./map-worker.js', import.meta.url), { type: 'module' }
+      )
+      const onMessage = ev => {
+        if (ev.data.type === 'ready') {
+          cleanup()
+          resolve(worker)
+        }
+      }
+      const onError = ev => {
+        cleanup()
+        worker.terminate()
+        reject(new Error(ev.message || 'Failed to start map worker!'))
+      }
+      const cleanup = () => {
+        worker.removeEventListener('message', onMessage)
+        worker.removeEventListener('error', onError)
+      }
+
+      worker.addEventListener('message', onMessage)
+      worker.addEventListener('error', onError)
+      worker.postMessage({ type: 'init', assets: this._assets })
+    })
+  }
+
+  /**
+   * Renders a region of the map on the main thread.
+   * @param {MapRegion} region The region to render.
+   * @param {(progress: number) => void} [onProgress] Called with the progress
+   * of the render.
+   * @returns {Promise<ImageBitmap>}
+   * @private
+   */
+  async _renderOnMainThread (region, onProgress) {
+    const size = getRegionSize(region)
+    const canvas = document.createElement('canvas')
+
+    canvas.width = size.width
+    canvas.height = size.height
+
+    await renderMapRegion(canvas.getContext('2d'), this._assets, region, {
+      frames: this._frames,
+      onProgress
+    })
+
+    return createImageBitmap(canvas)
+  }
+
+  // ================ Public methods ================ //
+
+  /**
+   * Initializes this MapPainter, starting the worker if possible.
+   */
+  async init () {
+    if (!this._useWorker || !canUseWorker()) {
+      debug('OffscreenCanvas is not available; rendering map on the main thread')
+      return
+    }
+
+    try {
+      this._worker = await this._startWorker()
+      this._worker.addEventListener('message', this._onWorkerMessage)
+      this._worker.addEventListener('error', this._onWorkerError)
+      debug('Rendering map in a worker')
+    } catch (ex) {
+      debug('Failed to start map worker; rendering map on the main thread: %O', ex)
+    }
+  }
+
+  /**
+   * Renders a region of the map into an image.
+   * @param {MapRegion} region The region to render.
+   * @param {(progress: number) => void} [onProgress] Called with how much of
+   * the region (from 0 to 1) has been rendered.
+   * @returns {Promise<ImageBitmap>}
+   */
+  render (region, onProgress) {
+    if (!this._worker) {
+      return this._renderOnMainThread(region, onProgress)
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++
+
+      this._pending.set(id, { resolve, reject, onProgress })
+      this._worker.postMessage({ type: 'render', id, region })
+    })
+  }
+
+  /**
+   * Stops the worker, and rejects all renders that haven't finished.
+   */
+  destroy () {
+    this._stopWorker()
+    this._rejectPending(new Error('Map painter destroyed!'))
+    this._frames.clear()
+  }
+}
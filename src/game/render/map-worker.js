@@ -0,0 +1,68 @@
+/* eslint-env browser, worker */
+/**
+ * @fileoverview Web Worker that renders regions of the map with an
+ * ``OffscreenCanvas``, so that the main thread isn't blocked.
+ *
+ * Messages sent to the worker:
+ *  - ``{ type: 'init', assets }``: sets the assets to render the map with.
+ *  - ``{ type: 'render', id, region }``: renders a region of the map.
+ *
+ * Messages sent by the worker:
+ *  - ``{ type: 'ready' }``: the worker has been initialized.
+ *  - ``{ type: 'progress', id, progress }``: how much of a region has been rendered.
+ *  - ``{ type: 'rendered', id, bitmap }``: a region has been rendered.
+ *  - ``{ type: 'error', id, message }``: a region failed to render.
+ */
+
+import { getRegionSize, renderMapRegion } from './map.js'
+
+/**
+ * @typedef {import('./map').MapAssets} MapAssets
+ * @typedef {import('./map').MapRegion} MapRegion
+ */
+
+/** @type {MapAssets|null} */
+let assets = null
+/** @type {Map<string, ImageBitmap>} */
+const frames = new Map()
+
+/**
+ * Renders a region of the map, and sends the result back.
+ * @param {number} id The ID of the request.
+ * @param {MapRegion} region The region to render.
+ */
+async function render (id, region) {
+  if (!assets) {
+    throw new Error('Map worker has not been initialized!')
+  }
+
+  const size = getRegionSize(region)
+  const canvas = new OffscreenCanvas(size.width, size.height)
+
+  await renderMapRegion(canvas.getContext('2d'), assets, region, {
+    frames,
+    onProgress: progress => {
+      self.postMessage({ type: 'progress', id, progress })
+    }
+  })
+
+  const bitmap = canvas.transferToImageBitmap()
+  self.postMessage({ type: 'rendered', id, bitmap }, [bitmap])
+}
+
+self.addEventListener('message', ev => {
+  const data = ev.data
+
+  switch (data.type) {
+    case 'init':
+      assets = data.assets
+      frames.clear()
+      self.postMessage({ type: 'ready' })
+      break
+    case 'render':
+      render(data.id, data.region).catch(err => {
+        self.postMessage({ type: 'error', id: data.id, message: err.message })
+      })
+      break
+  }
+})
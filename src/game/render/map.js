@@ -0,0 +1,106 @@
+/* eslint-env browser, worker */
+/**
+ * @fileoverview Functions to render regions of the map. These functions are
+ * used both on the main thread and in the map worker, so they must not touch
+ * the DOM.
+ */
+
+import { renderTiles } from './tiles.js'
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('./tiles').TileSheetData} TileSheetData
+ * @typedef {import('./tiles').DecodedTileLayer} DecodedTileLayer
+ *
+ * @typedef {Object} MapDecoration
+ * @prop {ImageBitmap} img The image of the decoration.
+ * @prop {Vector2DLike} position The position of the center of the decoration.
+ *
+ * @typedef {Object} MapAssets Everything that is needed to render the map.
+ * @prop {DecodedTileLayer} layer
+ * @prop {TileSheetData} sheetData
+ * @prop {ImageBitmap} sheet
+ * @prop {number} tileSize How big every tile is, in world units.
+ * @prop {Array<MapDecoration>} decorations
+ *
+ * @typedef {Object} MapRegion
+ * @prop {Vector2DLike} mapStart The top left corner of the region.
+ * @prop {Vector2DLike} mapEnd The bottom right corner of the region.
+ * @prop {number} scale How much to scale the region by.
+ *
+ * @typedef {Object} RenderRegionOpts
+ * @prop {Map<string, ImageBitmap>} [frames] A cache of tile frames to share
+ * between calls.
+ * @prop {(progress: number) => void} [onProgress] Called with how much of the
+ * region (from 0 to 1) has been drawn.
+ */
+
+/**
+ * Gets the size of the canvas needed to render the specified region.
+ * @param {MapRegion} region The region to render.
+ * @returns {Record<'width'|'height', number>}
+ */
+export function getRegionSize (region) {
+  return {
+    width: Math.max(1, Math.round((region.mapEnd.x - region.mapStart.x) * region.scale)),
+    height: Math.max(1, Math.round((region.mapEnd.y - region.mapStart.y) * region.scale))
+  }
+}
+
+/**
+ * Draws the decorations that overlap the specified region. Decorations never
+ * change, so they're drawn into the map itself.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx The
+ * context to draw on.
+ * @param {Array<MapDecoration>} decorations The decorations to draw.
+ * @param {MapRegion} region The region that is being drawn.
+ */
+function renderDecorations (ctx, decorations, region) {
+  for (const { img, position } of decorations) {
+    const x = Math.floor(position.x - img.width / 2)
+    const y = Math.floor(position.y - img.height / 2)
+    if (
+      x >= region.mapEnd.x || x + img.width <= region.mapStart.x ||
+      y >= region.mapEnd.y || y + img.height <= region.mapStart.y
+    ) {
+      continue
+    }
+
+    ctx.drawImage(img, x, y)
+  }
+}
+
+/**
+ * Renders the specified region of the map onto a context that's the size
+ * returned by ``getRegionSize()``.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx The
+ * context to draw on.
+ * @param {MapAssets} assets Everything needed to render the map.
+ * @param {MapRegion} region The region to render.
+ * @param {RenderRegionOpts} [opts={}] Optional options.
+ */
+export async function renderMapRegion (ctx, assets, region, opts = {}) {
+  const { mapStart, mapEnd, scale } = region
+  const tileSize = assets.tileSize
+
+  // Draw in world coordinates.
+  ctx.setTransform(scale, 0, 0, scale, -mapStart.x * scale, -mapStart.y * scale)
+
+  await renderTiles(ctx, {
+    layer: assets.layer,
+    sheetData: assets.sheetData,
+    sheet: assets.sheet,
+    tileSize,
+    frames: opts.frames,
+    onProgress: opts.onProgress,
+    start: {
+      x: Math.floor(mapStart.x / tileSize),
+      y: Math.floor(mapStart.y / tileSize)
+    },
+    end: {
+      x: Math.ceil(mapEnd.x / tileSize),
+      y: Math.ceil(mapEnd.y / tileSize)
+    }
+  })
+  renderDecorations(ctx, assets.decorations, region)
+}
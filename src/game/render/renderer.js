@@ -7,9 +7,25 @@ import debugFactory from 'debug'
 
 import { Vector2D, inBound } from 'colonialwars-lib/math'
 
-import split from './splitter.js'
+import constants from '../../constants.js'
+import LruCache from '../../helpers/lru-cache.js'
 
 const debug = debugFactory('cw-client:renderer')
+const {
+  MINIMAP: minimapConstants,
+  MAP_CHUNKS: chunkConstants
+} = constants.GAME_CONSTANTS
+
+/**
+ * Gets the key of a map chunk in the chunk cache.
+ * @param {number} column The column of the chunk.
+ * @param {number} row The row of the chunk.
+ * @param {number} lod The level of detail the chunk was rendered at.
+ * @returns {string}
+ */
+function getChunkKey (column, row, lod) {
+  return `${lod}:${column},${row}`
+}
 
 /**
  * TODO: Figure out how we want to load assets.
@@ -21,21 +37,21 @@ const debug = debugFactory('cw-client:renderer')
 
 /**
  * @callback RenderMapFunc
- * @param {CanvasRenderingContext2D} context The rendering context to use.
- * @param {RenderMapOpts} opts Rendering options.
- * @returns {Promise<void>}
+ * @param {import('./map').MapRegion} region The region of the map to render.
+ * @param {(progress: number) => void} [onProgress] Called with how much of the
+ * region (from 0 to 1) has been rendered.
+ * @returns {Promise<ImageBitmap>}
  */
 /**
  * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
  *
- * @typedef {Object} RenderMapOpts
- * @prop {Vector2DLike} mapStart The position to start taking entities from the
- * map and putting them onto the canvas.
- * @prop {Vector2DLike} mapEnd The position to stop taking entities from the
- * map and putting them onto the canvas.
+ * @typedef {Object} ChunkRange
+ * @prop {Vector2DLike} start The column and row of the first chunk.
+ * @prop {Vector2DLike} end The column and row of the last chunk (inclusive).
  *
  * @typedef {Object} RendererOpts
  * @prop {import('../viewport').default} viewport
+ * @prop {import('../game').GraphicsSettings} graphicsSettings
  * @prop {import('../../apps/play-app').MapData} mapData
  * @prop {import('./graphics-store').default} graphicsStore
  * @prop {CanvasRenderingContext2D} context The canvas context to draw with.
@@ -44,6 +60,29 @@ const debug = debugFactory('cw-client:renderer')
  * @typedef {Object} InitOpts
  * @prop {RenderMapFunc} renderMap A function to render the map as it would look
  * within the specified bounds.
+ * @prop {(progress: number) => void} [onProgress] Called with how much of the
+ * initialization (from 0 to 1) is done.
+ *
+ * @typedef {Object} DebugStats
+ * @prop {number} fps
+ * @prop {Vector2DLike} position
+ * @prop {number} entities
+ *
+ * @typedef {Object} MinimapOpts
+ * @prop {Vector2DLike|null} self The position of the player, if there is one.
+ * @prop {Array<Vector2DLike>} teammates The positions of the player's teammates.
+ *
+ * @typedef {Object} EntityAnimation
+ * @prop {import('../../apps/play-app').DynAnimationKeys} state
+ * @prop {number} frame
+ * @prop {number} angle
+ *
+ * @typedef {Object} RenderableEntity
+ * @prop {string} graphic The ID of the graphic to draw the entity with.
+ * @prop {Vector2DLike} position The absolute world position of the entity.
+ * @prop {EntityAnimation} [animation] The animation frame to draw. If not
+ * specified, or if the graphic doesn't have the animation, the graphic's main
+ * image is drawn.
  */
 
 /**
@@ -61,52 +100,280 @@ export default class Renderer {
     this._viewport = opts.viewport
     this._vwDimensions = opts.vwDimensions
     this._graphicsStore = opts.graphicsStore
+    this._graphicsSettings = opts.graphicsSettings
+
+    this._width = 0
+    this._height = 0
+    this._destroyed = false
+
+    /** @type {RenderMapFunc|null} */
+    this._mapRenderer = null
+    /** The width and height of every map chunk, in world units. */
+    this._chunkSize = this._graphicsSettings.chunkSize || chunkConstants.DEFAULT_SIZE
+    /**
+     * Images of the map chunks that have been rendered recently, keyed by
+     * ``lod:column,row``. Chunks are rendered when they're about to be visible,
+     * so only the ones around the viewport are kept in memory.
+     * @type {LruCache<string, ImageBitmap>}
+     * @private
+     */
+    this._chunkCache = new LruCache({
+      capacity: chunkConstants.MIN_CACHE_SIZE,
+      onEvict: bitmap => bitmap.close()
+    })
+    /**
+     * The keys of the chunks that are being rendered.
+     * @type {Set<string>}
+     * @private
+     */
+    this._pendingChunks = new Set()
+
+    this._onResize = this._onResize.bind(this)
+    this._onResize()
+    this._vwDimensions.on('update', this._onResize)
 
-    this._width = opts.context.canvas.width
-    this._height = opts.context.canvas.height
+    /**
+     * Images of all the entity graphics that have been requested so far. A
+     * value of null means the graphic is still loading, or doesn't exist.
+     * @type {Map<string, ImageBitmap|null>}
+     * @private
+     */
+    this._entityImgs = new Map()
 
     /**
-     * Image chunks of the map, to optimize rendering.
-     * @type {Array<ImageBitmap>}
+     * A downscaled image of the whole map.
+     * @type {ImageBitmap|null}
      * @private
      */
-    this._mapChunks = []
-    /** Has the map been chunked yet? */
-    this._mapChunked = false
-    /** @type {Vector2DLike} */
-    this._chunkSize = null
+    this._minimap = null
+    /** How much the map is scaled down on the minimap. */
+    this._minimapScale = 1
   }
 
-  // ================ Private initialization ================ //
+  // ================ Private helpers ================ //
+
+  /**
+   * Gets how many canvas pixels should be used for every CSS pixel.
+   * @returns {number}
+   * @private
+   */
+  _getPixelRatio () {
+    const dpr = this._graphicsSettings.useDevicePixelRatio
+      ? window.devicePixelRatio || 1
+      : 1
+
+    return dpr * this._graphicsSettings.renderScale
+  }
 
   /**
-   * Initializes the map chunks that are going to be drawn.
+   * Resizes the canvas to fit the viewport, taking the render scale and
+   * device pixel ratio into account.
    *
-   * The map is chunked for performance reasons, since drawing hundreds of tiles
-   * is less than performant.
-   * @param {RenderMapFunc} mapRenderer A function to render the map on a canvas.
+   * Everything is still drawn in CSS pixels; the canvas context is scaled so
+   * that this works.
    * @private
    */
-  async _initMapChunks (mapRenderer) {
-    if (this._mapChunked) { return }
+  _onResize () {
+    const canvas = this._ctx.canvas
+    const ratio = this._getPixelRatio()
 
-    const workCanvas = document.createElement('canvas')
-    const workCtx = workCanvas.getContext('2d')
+    this._width = this._vwDimensions.width
+    this._height = this._vwDimensions.height
 
-    /**
-     * TODO: Handle cases where map size > 15000 pixels.
-     * Canvases don't work at that size.
-     * (2022/08/17) Take-Some-Bytes */
-    await mapRenderer(workCtx, {})
+    canvas.width = Math.floor(this._width * ratio)
+    canvas.height = Math.floor(this._height * ratio)
+    canvas.style.width = `${this._width}px`
+    canvas.style.height = `${this._height}px`
 
-    const res = await split(workCanvas, {
-      calculateChunkSize: true
-    })
+    this._ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+
+    // Keep enough chunks to cover the viewport and the chunks around it
+    // (which are rendered ahead of time), with some room to spare for
+    // moving back and forth. Zoomed out, chunks cover more of the world but
+    // up to twice as many of them could be visible on every axis.
+    const columns = Math.ceil(this._width * 2 / this._chunkSize) + 3
+    const rows = Math.ceil(this._height * 2 / this._chunkSize) + 3
+    this._chunkCache.capacity = Math.max(
+      chunkConstants.MIN_CACHE_SIZE, Math.ceil(columns * rows * 1.5)
+    )
+    this._chunkCache.trim()
+  }
+
+  /**
+   * Gets the image to draw an entity with.
+   *
+   * Rendering is synchronous, so if the image hasn't been loaded yet, this
+   * starts loading it in the background and returns null.
+   * @param {string} graphic The ID of the graphic.
+   * @param {EntityAnimation} [animation] The animation frame to get. If not
+   * specified, the graphic's main image is returned.
+   * @returns {ImageBitmap|null}
+   * @private
+   */
+  _getEntityImg (graphic, animation) {
+    const key = animation
+      ? `${graphic}:${animation.state}:${animation.frame}:${animation.angle}`
+      : graphic
+    if (this._entityImgs.has(key)) {
+      return this._entityImgs.get(key)
+    }
+
+    this._entityImgs.set(key, null)
+    this._graphicsStore.getGraphic(graphic)
+      .then(handle => {
+        if (!handle) {
+          return null
+        } else if (!animation) {
+          return handle.image('mainImg')
+        }
+
+        const anim = handle.animation(animation.state)
+        return anim
+          ? anim.frame(animation.frame, animation.angle)
+          : handle.image('mainImg')
+      })
+      .then(img => {
+        this._entityImgs.set(key, img)
+      })
+      .catch(err => {
+        debug('Failed to load graphic "%s": %O', key, err)
+      })
+
+    return null
+  }
+
+  /**
+   * Gets where the minimap is drawn on the canvas.
+   * @returns {Record<'x'|'y'|'w'|'h', number>}
+   * @private
+   */
+  _getMinimapBounds () {
+    return {
+      x: this._width - minimapConstants.MARGIN - this._minimap.width,
+      y: this._height - minimapConstants.MARGIN - this._minimap.height,
+      w: this._minimap.width,
+      h: this._minimap.height
+    }
+  }
+
+  /**
+   * Gets the level of detail that map chunks should be rendered at for the
+   * current zoom level. This is a power of 2 no greater than 1, so that
+   * zooming out doesn't render (and cache) loads of tiny chunks at full
+   * detail.
+   * @returns {number}
+   * @private
+   */
+  _getChunkLod () {
+    return Math.min(1, 2 ** Math.ceil(Math.log2(this._viewport.zoom)))
+  }
+
+  /**
+   * Gets the range of map chunks that are within the specified distance (in
+   * chunks) of the viewport, clamped to the world.
+   * @param {number} margin How many extra chunks to include on every side.
+   * @param {number} lod The level of detail of the chunks.
+   * @returns {ChunkRange}
+   * @private
+   */
+  _getChunkRange (margin, lod) {
+    const worldLimits = this._mapData.worldLimits
+    const size = this._chunkSize / lod
+    const position = this._viewport.position
+    const zoom = this._viewport.zoom
+    const last = {
+      x: Math.ceil(worldLimits.x / size) - 1,
+      y: Math.ceil(worldLimits.y / size) - 1
+    }
+
+    return {
+      start: {
+        x: Math.max(0, Math.floor(position.x / size) - margin),
+        y: Math.max(0, Math.floor(position.y / size) - margin)
+      },
+      end: {
+        x: Math.min(last.x, Math.floor((position.x + this._width / zoom) / size) + margin),
+        y: Math.min(last.y, Math.floor((position.y + this._height / zoom) / size) + margin)
+      }
+    }
+  }
+
+  /**
+   * Starts rendering the specified map chunk in the background, unless it's
+   * already being rendered or too many chunks are being rendered already.
+   * @param {number} column The column of the chunk.
+   * @param {number} row The row of the chunk.
+   * @param {number} lod The level of detail to render the chunk at.
+   * @private
+   */
+  _queueChunk (column, row, lod) {
+    const key = getChunkKey(column, row, lod)
+    if (
+      this._pendingChunks.has(key) ||
+      this._pendingChunks.size >= chunkConstants.MAX_PENDING
+    ) {
+      return
+    }
+
+    this._pendingChunks.add(key)
+    this._renderChunk(column, row, lod)
+      .then(bitmap => {
+        if (this._destroyed) {
+          bitmap.close()
+          return
+        }
+
+        this._chunkCache.set(key, bitmap)
+      })
+      .catch(err => {
+        debug('Failed to render map chunk %s: %O', key, err)
+      })
+      .finally(() => {
+        this._pendingChunks.delete(key)
+      })
+  }
 
-    this._mapChunks = this._mapChunks.concat(res.chunks)
-    this._chunkSize = res.chunkSize
+  /**
+   * Renders the specified map chunk into an image.
+   * @param {number} column The column of the chunk.
+   * @param {number} row The row of the chunk.
+   * @param {number} lod The level of detail to render the chunk at.
+   * @returns {Promise<ImageBitmap>}
+   * @private
+   */
+  async _renderChunk (column, row, lod) {
+    const worldLimits = this._mapData.worldLimits
+    const size = this._chunkSize / lod
+    const mapStart = {
+      x: column * size,
+      y: row * size
+    }
+    // Chunks on the edges of the world may be cut short.
+    const mapEnd = {
+      x: Math.min(mapStart.x + size, worldLimits.x),
+      y: Math.min(mapStart.y + size, worldLimits.y)
+    }
+
+    return this._mapRenderer({ mapStart, mapEnd, scale: lod })
+  }
+
+  // ================ Private initialization ================ //
+
+  /**
+   * Initializes the minimap by rendering the whole map at a small scale.
+   * @param {(progress: number) => void} [onProgress] Called with the progress
+   * of the render.
+   * @private
+   */
+  async _initMinimap (onProgress) {
+    const worldLimits = this._mapData.worldLimits
 
-    this._mapChunked = true
+    this._minimapScale = minimapConstants.SIZE / Math.max(worldLimits.x, worldLimits.y)
+    this._minimap = await this._mapRenderer({
+      mapStart: { x: 0, y: 0 },
+      mapEnd: worldLimits,
+      scale: this._minimapScale
+    }, onProgress)
   }
 
   // ================ Public initialization ================ //
@@ -114,18 +381,58 @@ export default class Renderer {
   /**
    * Initializes this Renderer.
    *
-   * This includes the crucial step of chunking the map into "big tiles", which
-   * is an optimization to ensure we don't waste CPU time on drawing tiles,
-   * obstacles, and decorations which all remain static for the duration of a
-   * Renderer's lifetime.
+   * The map is drawn in "big tiles" (chunks), which is an optimization to
+   * ensure we don't waste CPU time on drawing tiles and decorations which all
+   * remain static for the duration of a Renderer's lifetime. Chunks are only
+   * rendered once they're close to the viewport, so worlds of any size could
+   * be rendered without running out of memory.
    * @param {InitOpts} opts Required initialization options.
    */
   async init (opts) {
-    await this._initMapChunks(opts.renderMap)
+    this._mapRenderer = opts.renderMap
+
+    await this._initMinimap(opts.onProgress)
 
     debug('Game renderer initialized')
   }
 
+  /**
+   * Stops listening for viewport size changes, and releases cached images.
+   */
+  destroy () {
+    this._destroyed = true
+    this._vwDimensions.removeListener('update', this._onResize)
+    this._entityImgs.clear()
+    this._chunkCache.clear()
+    this._minimap?.close()
+    this._minimap = null
+  }
+
+  /**
+   * Converts a canvas coordinate to the world position it points to on the
+   * minimap. Returns null if the coordinate is not on the minimap.
+   * @param {Vector2DLike} position The canvas coordinate, in CSS pixels.
+   * @returns {InstanceType<Vector2D>|null}
+   */
+  minimapToWorld (position) {
+    if (!this._minimap) {
+      return null
+    }
+
+    const bounds = this._getMinimapBounds()
+    if (
+      !inBound(position.x, bounds.x, bounds.x + bounds.w) ||
+      !inBound(position.y, bounds.y, bounds.y + bounds.h)
+    ) {
+      return null
+    }
+
+    return new Vector2D(
+      (position.x - bounds.x) / this._minimapScale,
+      (position.y - bounds.y) / this._minimapScale
+    )
+  }
+
   // ================ Public rendering ================ //
 
   /**
@@ -136,47 +443,188 @@ export default class Renderer {
   }
 
   /**
-   * Renders the map onto the canvas.
-   * @param {Vector2DLike} playerPos The current position of the player.
+   * Renders the visible part of the map onto the canvas.
+   *
+   * Chunks that haven't been rendered yet are rendered in the background, and
+   * left blank until they're ready. The chunks just outside the viewport are
+   * rendered ahead of time, so that this rarely happens.
    */
-  renderMap (playerPos) {
-    const chunkSize = this._chunkSize
-    const visibleStart = Vector2D.floorAxes(this._viewport.toCanvas(
-      Vector2D.sub(playerPos, {
-        x: this._vwDimensions.width / 2 + chunkSize.x * 2,
-        y: this._vwDimensions.height / 2 + chunkSize.y * 2
-      })
-    ))
-    const visibleEnd = Vector2D.floorAxes(this._viewport.toCanvas(
-      Vector2D.add(playerPos, {
-        x: this._vwDimensions.width,
-        y: this._vwDimensions.height
-      })
-    ))
-    const start = Vector2D.floorAxes(this._viewport.toCanvas({ x: 0, y: 0 }))
-    const end = Vector2D.floorAxes(this._viewport.toCanvas({
-      x: this._mapData.worldLimits.x,
-      y: this._mapData.worldLimits.y
-    }))
-    let chunkID = 0
-
-    for (
-      let x = start.x; x < end.x; x += chunkSize.x
-    ) {
-      for (
-        let y = start.y; y < end.y; y += chunkSize.y
-      ) {
-        if (
-          inBound(x, visibleStart.x, visibleEnd.x) &&
-          inBound(y, visibleStart.y, visibleEnd.y)
-        ) {
-          this._ctx.drawImage(
-            this._mapChunks[chunkID], x, y
-          )
+  renderMap () {
+    if (!this._mapRenderer) {
+      return
+    }
+
+    const lod = this._getChunkLod()
+    const size = this._chunkSize / lod
+    const visible = this._getChunkRange(0, lod)
+    const nearby = this._getChunkRange(1, lod)
+
+    for (let row = visible.start.y; row <= visible.end.y; row++) {
+      for (let column = visible.start.x; column <= visible.end.x; column++) {
+        const bitmap = this._chunkCache.get(getChunkKey(column, row, lod))
+        if (!bitmap) {
+          this._queueChunk(column, row, lod)
+          continue
         }
 
-        chunkID++
+        // Both corners are rounded the same way, so that neighbouring chunks
+        // line up without any gaps at every zoom level.
+        const start = Vector2D.floorAxes(this._viewport.toCanvas({
+          x: column * size,
+          y: row * size
+        }))
+        const end = Vector2D.floorAxes(this._viewport.toCanvas({
+          x: column * size + bitmap.width / lod,
+          y: row * size + bitmap.height / lod
+        }))
+        this._ctx.drawImage(
+          bitmap, start.x, start.y, end.x - start.x, end.y - start.y
+        )
       }
     }
+
+    for (let row = nearby.start.y; row <= nearby.end.y; row++) {
+      for (let column = nearby.start.x; column <= nearby.end.x; column++) {
+        if (!this._chunkCache.has(getChunkKey(column, row, lod))) {
+          this._queueChunk(column, row, lod)
+        }
+      }
+    }
+  }
+
+  /**
+   * Renders the specified obstacles onto the canvas. Obstacles are drawn the
+   * same way as entities, but should be drawn before them so that entities
+   * appear on top.
+   * @param {Array<RenderableEntity>} obstacles The obstacles to render.
+   */
+  renderObstacles (obstacles) {
+    this.renderEntities(obstacles)
+  }
+
+  /**
+   * Renders the specified entities onto the canvas, centered on their
+   * positions. Entities whose graphics haven't loaded yet are skipped.
+   * @param {Array<RenderableEntity>} entities The entities to render.
+   */
+  renderEntities (entities) {
+    for (const entity of entities) {
+      // Fall back to the main image while an animation frame is loading.
+      const img = (entity.animation && this._getEntityImg(entity.graphic, entity.animation)) ||
+        this._getEntityImg(entity.graphic)
+      if (!img) {
+        continue
+      }
+
+      const zoom = this._viewport.zoom
+      const width = Math.round(img.width * zoom)
+      const height = Math.round(img.height * zoom)
+      const pos = Vector2D.floorAxes(this._viewport.toCanvas(entity.position))
+      const x = pos.x - Math.floor(width / 2)
+      const y = pos.y - Math.floor(height / 2)
+
+      if (
+        !inBound(x, -width, this._width) ||
+        !inBound(y, -height, this._height)
+      ) {
+        // Not visible.
+        continue
+      }
+
+      this._ctx.drawImage(img, x, y, width, height)
+    }
+  }
+
+  /**
+   * Renders the minimap in the bottom right corner of the canvas, with markers
+   * for the player, their teammates, and the area the viewport covers.
+   * @param {MinimapOpts} opts What to mark on the minimap.
+   */
+  renderMinimap (opts) {
+    if (!this._minimap) {
+      return
+    }
+
+    const bounds = this._getMinimapBounds()
+    const scale = this._minimapScale
+    const toMinimap = position => ({
+      x: bounds.x + position.x * scale,
+      y: bounds.y + position.y * scale
+    })
+    const drawMarker = (position, color, radius) => {
+      const pos = toMinimap(position)
+
+      this._ctx.fillStyle = color
+      this._ctx.beginPath()
+      this._ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2)
+      this._ctx.fill()
+    }
+
+    this._ctx.save()
+
+    // The map itself.
+    this._ctx.globalAlpha = 0.85
+    this._ctx.drawImage(this._minimap, bounds.x, bounds.y)
+    this._ctx.globalAlpha = 1
+    this._ctx.strokeStyle = 'black'
+    this._ctx.lineWidth = 2
+    this._ctx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h)
+
+    // The area the viewport covers.
+    const viewStart = toMinimap(this._viewport.position)
+    this._ctx.strokeStyle = 'white'
+    this._ctx.lineWidth = 1
+    this._ctx.strokeRect(
+      viewStart.x,
+      viewStart.y,
+      this._width / this._viewport.zoom * scale,
+      this._height / this._viewport.zoom * scale
+    )
+
+    // Don't let markers spill out of the minimap.
+    this._ctx.beginPath()
+    this._ctx.rect(bounds.x, bounds.y, bounds.w, bounds.h)
+    this._ctx.clip()
+
+    for (const teammate of opts.teammates) {
+      drawMarker(teammate, 'rgb(60, 140, 255)', 2.5)
+    }
+    if (opts.self) {
+      drawMarker(opts.self, 'yellow', 3.5)
+    }
+
+    this._ctx.restore()
+  }
+
+  /**
+   * Renders an overlay with debugging information, if enabled in the graphics
+   * settings.
+   * @param {DebugStats} stats The information to display.
+   */
+  renderDebugOverlay (stats) {
+    if (!this._graphicsSettings.showDebugOverlay) {
+      return
+    }
+
+    const lines = [
+      `FPS: ${Math.round(stats.fps)}`,
+      `Position: ${Math.round(stats.position.x)}, ${Math.round(stats.position.y)}`,
+      `Entities: ${stats.entities}`,
+      `Zoom: ${this._viewport.zoom.toFixed(2)}`,
+      `Map chunks: ${this._chunkCache.size}/${this._chunkCache.capacity}`,
+      `Failed graphics: ${this._graphicsStore.failures.size}`,
+      `Resolution: ${this._ctx.canvas.width}x${this._ctx.canvas.height}`
+    ]
+
+    this._ctx.save()
+    this._ctx.fillStyle = 'rgba(0, 0, 0, 0.5)'
+    this._ctx.fillRect(5, 5, 220, lines.length * 16 + 10)
+    this._ctx.fillStyle = 'white'
+    this._ctx.font = '12px monospace'
+    this._ctx.textBaseline = 'top'
+    lines.forEach((line, i) => {
+      this._ctx.fillText(line, 10, 10 + i * 16)
+    })
+    this._ctx.restore()
   }
 }
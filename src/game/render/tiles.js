@@ -0,0 +1,218 @@
+/* eslint-env browser, worker */
+/**
+ * @fileoverview Functions to decode tile layers and draw them with a tile sheet.
+ * These functions are also used in the map worker, so they must not touch the
+ * DOM.
+ */
+
+/**
+ * @typedef {[number, number]} FramePosition The column and row of a frame in
+ * the tile sheet.
+ *
+ * @typedef {Object} TileData
+ * @prop {FramePosition} frame The frame of the tile.
+ * @prop {number} priority Tiles with a higher priority spill over onto
+ * neighbouring tiles with a lower priority.
+ * @prop {Record<string, Record<string, FramePosition>>} [edges] Mostly
+ * transparent frames to draw over the tile on every side that is bordered by a
+ * tile with a higher priority. Keyed by the type of the bordering tile, and
+ * then by the bit of the side it's on (see ``EDGES``).
+ *
+ * @typedef {Object} TileSheetData
+ * @prop {string} file The file name of the tile sheet image.
+ * @prop {number} frameSize The width and height of every frame.
+ * @prop {Record<string, TileData>} tiles Data about every type of tile.
+ *
+ * @typedef {import('../../apps/play-app').TileLayer} TileLayer
+ *
+ * @typedef {Object} DecodedTileLayer
+ * @prop {number} width
+ * @prop {number} height
+ * @prop {Array<string>} palette
+ * @prop {Uint16Array} tiles The palette index of every tile, row by row.
+ *
+ * @typedef {Object} RenderTilesOpts
+ * @prop {DecodedTileLayer} layer The tiles to draw.
+ * @prop {TileSheetData} sheetData Data about the tile sheet.
+ * @prop {CanvasImageSource} sheet The tile sheet image.
+ * @prop {number} tileSize How big every tile should be drawn.
+ * @prop {Map<string, ImageBitmap>} [frames] A cache of frames that have been
+ * cut out of the tile sheet already. Pass the same Map to every call to avoid
+ * cutting out frames again.
+ * @prop {Record<'x'|'y', number>} [start] The first column and row to draw.
+ * Defaults to the top left tile.
+ * @prop {Record<'x'|'y', number>} [end] The column and row to stop drawing at.
+ * Defaults to the bottom right of the layer.
+ * @prop {(progress: number) => void} [onProgress] Called after every row of
+ * tiles with how much of the layer (from 0 to 1) has been drawn.
+ */
+
+/**
+ * Bits of an edge mask, for every side of a tile.
+ */
+export const EDGES = Object.freeze({
+  NORTH: 1,
+  EAST: 2,
+  SOUTH: 4,
+  WEST: 8
+})
+
+/**
+ * Decodes a run-length encoded tile layer.
+ * @param {TileLayer} layer The tile layer to decode.
+ * @returns {DecodedTileLayer}
+ */
+export function decodeTileLayer (layer) {
+  const size = layer.width * layer.height
+  const tiles = new Uint16Array(size)
+  let i = 0
+
+  for (let j = 0; j < layer.data.length; j += 2) {
+    const count = layer.data[j]
+    const index = layer.data[j + 1]
+
+    if (index >= layer.palette.length) {
+      throw new RangeError(`Tile index ${index} is not in the palette!`)
+    }
+    if (i + count > size) {
+      throw new RangeError('Tile layer has more tiles than its size allows!')
+    }
+
+    tiles.fill(index, i, i + count)
+    i += count
+  }
+
+  if (i !== size) {
+    throw new RangeError(`Expected ${size} tiles in tile layer, got ${i}!`)
+  }
+
+  return {
+    width: layer.width,
+    height: layer.height,
+    palette: layer.palette,
+    tiles
+  }
+}
+
+/**
+ * Creates a tile layer of the specified size, made up of only one type of tile.
+ * @param {string} type The type of tile.
+ * @param {number} width How many tiles there are in every row.
+ * @param {number} height How many rows of tiles there are.
+ * @returns {TileLayer}
+ */
+export function createUniformLayer (type, width, height) {
+  return {
+    width,
+    height,
+    palette: [type],
+    data: [width * height, 0]
+  }
+}
+
+/**
+ * Gets the priority of a type of tile.
+ * @param {TileSheetData} sheetData Data about the tile sheet.
+ * @param {string} type The type of tile.
+ * @returns {number}
+ */
+function getPriority (sheetData, type) {
+  return sheetData.tiles[type]?.priority ?? 0
+}
+
+/**
+ * Gets the edges of a tile, which record which types of tiles with a higher
+ * priority border the tile, and on which sides.
+ * @param {DecodedTileLayer} layer The tile layer.
+ * @param {number} x The column of the tile.
+ * @param {number} y The row of the tile.
+ * @param {TileSheetData} sheetData Data about the tile sheet.
+ * @returns {Record<string, string>} The type of the bordering tile, keyed by
+ * the bit of the side it's on (see ``EDGES``). Sides that aren't bordered by a
+ * tile with a higher priority are left out.
+ */
+export function getEdges (layer, x, y, sheetData) {
+  const typeAt = (x, y) => {
+    if (x < 0 || y < 0 || x >= layer.width || y >= layer.height) {
+      return null
+    }
+
+    return layer.palette[layer.tiles[y * layer.width + x]]
+  }
+  const priority = getPriority(sheetData, typeAt(x, y))
+  const neighbours = {
+    [EDGES.NORTH]: typeAt(x, y - 1),
+    [EDGES.EAST]: typeAt(x + 1, y),
+    [EDGES.SOUTH]: typeAt(x, y + 1),
+    [EDGES.WEST]: typeAt(x - 1, y)
+  }
+  const edges = {}
+
+  for (const [side, type] of Object.entries(neighbours)) {
+    if (type !== null && getPriority(sheetData, type) > priority) {
+      edges[side] = type
+    }
+  }
+
+  return edges
+}
+
+/**
+ * Draws a tile layer onto the specified context.
+ *
+ * Tiles that are bordered by tiles with a higher priority have the matching
+ * edge frame drawn over them for every bordered side, if the tile sheet has
+ * one. Edge frames of tiles with a higher priority are drawn on top.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx The
+ * context to draw on.
+ * @param {RenderTilesOpts} opts Required options.
+ */
+export async function renderTiles (ctx, opts) {
+  const { layer, sheetData, sheet, tileSize } = opts
+  const frameSize = sheetData.frameSize
+  const frames = opts.frames || new Map()
+  const start = opts.start || { x: 0, y: 0 }
+  const end = {
+    x: Math.min(opts.end?.x ?? layer.width, layer.width),
+    y: Math.min(opts.end?.y ?? layer.height, layer.height)
+  }
+
+  /**
+   * @param {FramePosition} frame
+   * @returns {Promise<ImageBitmap>}
+   */
+  const getFrame = async frame => {
+    const key = frame.join(',')
+    if (!frames.has(key)) {
+      frames.set(key, await createImageBitmap(
+        sheet, frame[0] * frameSize, frame[1] * frameSize, frameSize, frameSize
+      ))
+    }
+
+    return frames.get(key)
+  }
+
+  const firstRow = Math.max(start.y, 0)
+  for (let y = firstRow; y < end.y; y++) {
+    for (let x = Math.max(start.x, 0); x < end.x; x++) {
+      const type = layer.palette[layer.tiles[y * layer.width + x]]
+      const tileData = sheetData.tiles[type]
+      if (!tileData) {
+        throw new Error(`Unknown tile type "${type}"!`)
+      }
+
+      const edgeFrames = Object.entries(getEdges(layer, x, y, sheetData))
+        .filter(([side, neighbour]) => tileData.edges?.[neighbour]?.[side])
+        .sort(([, a], [, b]) => getPriority(sheetData, a) - getPriority(sheetData, b))
+        .map(([side, neighbour]) => tileData.edges[neighbour][side])
+
+      for (const frame of [tileData.frame, ...edgeFrames]) {
+        ctx.drawImage(
+          await getFrame(frame), x * tileSize, y * tileSize, tileSize, tileSize
+        )
+      }
+    }
+
+    opts.onProgress?.((y - firstRow + 1) / (end.y - firstRow))
+  }
+}
@@ -0,0 +1,132 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Animation systems.
+ */
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('colonialwars-lib/ecs')} World
+ * @typedef {import('../../apps/play-app').Graphic} Graphic
+ * @typedef {import('../../apps/play-app').DynAnimationKeys} AnimationType
+ * @typedef {number} EntityType
+ *
+ * @typedef {Object} AnimateOpts
+ * @prop {World} world
+ * @prop {number} deltaTime The time since the last frame, in milliseconds.
+ * @prop {Record<string, Graphic>} graphicsData
+ * @prop {number} frameDuration How long every frame is shown, in milliseconds.
+ * @prop {Array<AnimationType>} nonLooping Animations that stop on their last
+ * frame instead of looping.
+ */
+
+/**
+ * Gets the number of frames of the specified animation of a graphic. Returns 0
+ * if the graphic doesn't have that animation.
+ * @param {Graphic} graphic The graphic.
+ * @param {AnimationType} type The type of animation.
+ * @returns {number}
+ */
+export function getNumFrames (graphic, type) {
+  if (!graphic.hasAnimations) {
+    return 0
+  }
+
+  const animation = graphic.animations[type]
+  if (!animation || animation.w === 0 || animation.h === 0) {
+    return 0
+  }
+
+  return Math.floor(animation.w / animation.frameSize)
+}
+
+/**
+ * Gets the index of the angle that is closest to the specified direction.
+ *
+ * Angle 0 faces right (positive X), and angles go clockwise, since the Y axis
+ * points down. Returns null if the direction is zero.
+ * @param {Vector2DLike} direction The direction the entity is facing.
+ * @param {number} angles How many angles there are.
+ * @returns {number|null}
+ */
+export function getAngle (direction, angles) {
+  if (direction.x === 0 && direction.y === 0) {
+    return null
+  }
+
+  const sector = Math.PI * 2 / angles
+  let radians = Math.atan2(direction.y, direction.x)
+  if (radians < 0) {
+    radians += Math.PI * 2
+  }
+
+  return Math.round(radians / sector) % angles
+}
+
+/**
+ * Picks the animation an entity should be playing.
+ * @param {Graphic} graphic The graphic of the entity.
+ * @param {AnimationType|null} forcedState The animation the server wants the
+ * entity to play, if any.
+ * @param {boolean} moving Whether the entity is moving.
+ * @returns {AnimationType}
+ * @private
+ */
+function _pickState (graphic, forcedState, moving) {
+  const state = forcedState || (moving ? 'walk' : 'idle')
+
+  return getNumFrames(graphic, state) > 0 ? state : 'idle'
+}
+
+/**
+ * Advances the animations of the specified entities.
+ *
+ * Entities play their ``walk`` animation while moving, and their ``idle``
+ * animation otherwise, unless the server has set an animation to play. The
+ * angle of the entity is picked from its velocity, or its rotation when it's
+ * standing still.
+ * @param {Iterable<EntityType>} entities The entities to animate.
+ * @param {AnimateOpts} opts Required options.
+ */
+export function animate (entities, opts) {
+  const world = opts.world
+
+  for (const entity of entities) {
+    const animation = world.getComponent('animation', { from: entity })
+    const appearance = world.getComponent('appearance', { from: entity })
+    const graphic = opts.graphicsData[appearance.graphic]
+    if (!animation || !graphic) {
+      continue
+    }
+
+    const velocity = world.getComponent('velocity2d', { from: entity }).velocity
+    const rotation = world.getComponent('transform2d', { from: entity }).rotation
+    const moving = velocity.x !== 0 || velocity.y !== 0
+    const state = _pickState(graphic, animation.forcedState, moving)
+
+    if (state !== animation.state) {
+      animation.state = state
+      animation.frame = 0
+      animation.elapsed = 0
+    }
+
+    if (graphic.angles > 1) {
+      const angle = getAngle(moving ? velocity : rotation, graphic.angles)
+      if (angle !== null) {
+        animation.angle = angle
+      }
+    }
+
+    const numFrames = getNumFrames(graphic, state)
+    if (numFrames < 1) {
+      continue
+    }
+
+    animation.elapsed += opts.deltaTime
+    const steps = Math.floor(animation.elapsed / opts.frameDuration)
+    animation.elapsed -= steps * opts.frameDuration
+
+    animation.frame = opts.nonLooping.includes(state)
+      ? Math.min(animation.frame + steps, numFrames - 1)
+      : (animation.frame + steps) % numFrames
+  }
+}
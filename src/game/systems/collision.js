@@ -0,0 +1,98 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Collision systems.
+ */
+
+import { Vector2D } from 'colonialwars-lib/math'
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('../../apps/play-app').Obstacle} Obstacle
+ *
+ * @typedef {Object} Collider An axis-aligned box that can't be entered.
+ * @prop {Vector2DLike} min The top left corner of the box.
+ * @prop {Vector2DLike} max The bottom right corner of the box.
+ *
+ * @typedef {Object} MoveOpts
+ * @prop {Vector2DLike} worldLimits
+ * @prop {Array<Collider>} colliders
+ */
+
+/**
+ * Creates colliders for the specified obstacles.
+ *
+ * Every collider is grown by ``padding`` on every side, so that an entity of
+ * size ``padding * 2`` could be treated as a single point.
+ * @param {Array<Obstacle>} obstacles The obstacles to create colliders for.
+ * @param {number} padding How much to grow the colliders by.
+ * @returns {Array<Collider>}
+ */
+export function getColliders (obstacles, padding) {
+  return obstacles.map(obstacle => ({
+    min: {
+      x: Math.floor(obstacle.position.x - obstacle.size.x / 2 - padding),
+      y: Math.floor(obstacle.position.y - obstacle.size.y / 2 - padding)
+    },
+    max: {
+      x: Math.ceil(obstacle.position.x + obstacle.size.x / 2 + padding),
+      y: Math.ceil(obstacle.position.y + obstacle.size.y / 2 + padding)
+    }
+  }))
+}
+
+/**
+ * Moves the specified position along one axis, stopping at the edge of the
+ * first collider in the way.
+ *
+ * The whole path is checked, not just where the position ends up, so that
+ * large steps can't skip over thin colliders.
+ * @param {InstanceType<Vector2D>} position The position to move. Modified in place.
+ * @param {'x'|'y'} axis The axis to move along.
+ * @param {number} distance How far to move.
+ * @param {Array<Collider>} colliders The colliders to check against.
+ */
+function _moveAxis (position, axis, distance, colliders) {
+  if (distance === 0) {
+    return
+  }
+
+  const other = axis === 'x' ? 'y' : 'x'
+  const start = position[axis]
+  let end = start + distance
+
+  for (const collider of colliders) {
+    if (position[other] <= collider.min[other] || position[other] >= collider.max[other]) {
+      // Moving along the edge of a collider, or past it.
+      continue
+    }
+
+    if (distance > 0 && collider.min[axis] >= start && collider.min[axis] < end) {
+      end = collider.min[axis]
+    } else if (distance < 0 && collider.max[axis] <= start && collider.max[axis] > end) {
+      end = collider.max[axis]
+    }
+  }
+
+  position[axis] = end
+}
+
+/**
+ * Moves a position by the specified amount, without going into any collider or
+ * out of the world.
+ *
+ * Each axis is moved separately, so that entities slide along obstacles
+ * instead of sticking to them. The server does the same thing.
+ * @param {Vector2DLike} position The position to move from.
+ * @param {Vector2DLike} delta How far to move.
+ * @param {MoveOpts} opts Required options.
+ * @returns {InstanceType<Vector2D>}
+ */
+export function move (position, delta, opts) {
+  const moved = Vector2D.fromObject(position)
+
+  _moveAxis(moved, 'x', delta.x, opts.colliders)
+  _moveAxis(moved, 'y', delta.y, opts.colliders)
+  moved.boundTo(opts.worldLimits)
+
+  return moved
+}
@@ -0,0 +1,137 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Entity interpolation systems.
+ */
+
+import { Vector2D } from 'colonialwars-lib/math'
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('colonialwars-lib/ecs')} World
+ * @typedef {import('../components/snapshots').Snapshot} Snapshot
+ * @typedef {number} EntityType
+ *
+ * @typedef {Object} InterpolateOpts
+ * @prop {World} world
+ * @prop {number} currentTime
+ * @prop {number} delay How far in the past to render entities, in milliseconds.
+ * @prop {number} maxExtrapolation The maximum amount of time, in milliseconds,
+ * to extrapolate an entity's position after running out of snapshots.
+ * @prop {Vector2DLike} worldLimits
+ */
+
+/**
+ * Linearly interpolates between two positions.
+ * @param {Vector2DLike} from The starting position.
+ * @param {Vector2DLike} to The ending position.
+ * @param {number} t How far along to go, between 0 and 1.
+ * @returns {InstanceType<Vector2D>}
+ * @private
+ */
+function _lerp (from, to, t) {
+  return new Vector2D(
+    from.x + (to.x - from.x) * t,
+    from.y + (to.y - from.y) * t
+  )
+}
+
+/**
+ * Adds a new authoritative snapshot to an entity's snapshot buffer.
+ *
+ * Snapshots that arrive out of order are dropped, and the oldest snapshots are
+ * discarded once the buffer is full.
+ * @param {EntityType} entity The entity to add the snapshot to.
+ * @param {Snapshot} snapshot The snapshot to add.
+ * @param {World} world The ECS world the entity lives in.
+ */
+export function pushSnapshot (entity, snapshot, world) {
+  const buffer = world.getComponent('snapshotBuffer', { from: entity })
+  const snapshots = buffer.snapshots
+  const last = snapshots[snapshots.length - 1]
+
+  if (last && snapshot.time < last.time) {
+    return
+  }
+
+  snapshots.push(snapshot)
+
+  if (snapshots.length > buffer.maxSize) {
+    snapshots.splice(0, snapshots.length - buffer.maxSize)
+  }
+}
+
+/**
+ * Computes where the specified entity should be rendered at ``renderTime``.
+ *
+ * Returns null if the entity has no snapshots.
+ * @param {Array<Snapshot>} snapshots The entity's snapshots, oldest first.
+ * @param {number} renderTime The time to compute the position at.
+ * @param {number} maxExtrapolation The extrapolation cap.
+ * @returns {InstanceType<Vector2D>|null}
+ * @private
+ */
+function _positionAt (snapshots, renderTime, maxExtrapolation) {
+  if (snapshots.length < 1) {
+    return null
+  }
+
+  const first = snapshots[0]
+  const last = snapshots[snapshots.length - 1]
+
+  if (renderTime <= first.time) {
+    return Vector2D.fromObject(first.position)
+  } else if (renderTime >= last.time) {
+    // The next snapshot is late, so guess where the entity is going, but
+    // only for so long.
+    const elapsed = Math.min(renderTime - last.time, maxExtrapolation)
+    return Vector2D.add(last.position, Vector2D.scale(last.velocity, elapsed))
+  }
+
+  for (let i = snapshots.length - 1; i > 0; i--) {
+    const before = snapshots[i - 1]
+    const after = snapshots[i]
+
+    if (before.time <= renderTime && renderTime < after.time) {
+      const t = (renderTime - before.time) / (after.time - before.time)
+      return _lerp(before.position, after.position, t)
+    }
+  }
+
+  return Vector2D.fromObject(last.position)
+}
+
+/**
+ * Sets the positions of the specified entities to where they were ``opts.delay``
+ * milliseconds ago, interpolating between the two snapshots surrounding that
+ * time.
+ *
+ * Snapshots that are no longer needed are discarded.
+ * @param {Iterable<EntityType>} entities The entities to interpolate.
+ * @param {InterpolateOpts} opts Required options.
+ */
+export function interpolate (entities, opts) {
+  const world = opts.world
+  const renderTime = opts.currentTime - opts.delay
+
+  for (const entity of entities) {
+    const snapshots = world.getComponent('snapshotBuffer', { from: entity }).snapshots
+    const transform = world.getComponent('transform2d', { from: entity })
+
+    // Keep one snapshot older than the render time to interpolate from.
+    const nextIndex = snapshots.findIndex(s => s.time > renderTime)
+    const firstNeeded = nextIndex === -1
+      ? snapshots.length - 1
+      : nextIndex - 1
+    if (firstNeeded > 0) {
+      snapshots.splice(0, firstNeeded)
+    }
+
+    const position = _positionAt(snapshots, renderTime, opts.maxExtrapolation)
+    if (!position) {
+      continue
+    }
+
+    position.boundTo(opts.worldLimits)
+    transform.position = position
+  }
+}
@@ -7,6 +7,8 @@ import debugFactory from 'debug'
 
 import { Vector2D } from 'colonialwars-lib/math'
 
+import * as CollisionSystems from './collision.js'
+
 const debug = debugFactory('cw-client:systems:player')
 
 /**
@@ -19,6 +21,8 @@ const debug = debugFactory('cw-client:systems:player')
  * @prop {number} currentTime
  * @prop {EntityType} playerId
  * @prop {Vector2DLike} worldLimits
+ * @prop {Array<import('./collision').Collider>} [colliders] Obstacles the
+ * player can't walk through.
  *
  * @typedef {Object} GetVelocityOpts
  * @prop {number} speed
@@ -29,12 +33,21 @@ const debug = debugFactory('cw-client:systems:player')
  * @prop {string} team
  * @prop {number} mass
  * @prop {number} speed
+ * @prop {string} graphic
  * @prop {Vector2DLike} position
  *
  * @typedef {Object} AcceptStateOpts
  * @prop {World} world
  * @prop {EntityType} playerId
  * @prop {Vector2DLike} worldLimits
+ * @prop {Array<import('./collision').Collider>} [colliders]
+ * @prop {number} snapDistance Mispredictions larger than this are not smoothed.
+ *
+ * @typedef {Object} SmoothCorrectionOpts
+ * @prop {World} world
+ * @prop {EntityType} playerId
+ * @prop {number} deltaTime
+ * @prop {number} smoothingTime
  */
 
 /**
@@ -94,9 +107,22 @@ export function createSelf (world, opts) {
     }
   })
 
+  world.addComponent('appearance', {
+    to: entity,
+    opts: {
+      graphic: opts.graphic
+    }
+  })
+
   world.addComponent('velocity2d', {
     to: entity
   })
+  world.addComponent('renderOffset', {
+    to: entity
+  })
+  world.addComponent('animation', {
+    to: entity
+  })
 
   return entity
 }
@@ -116,14 +142,21 @@ export function processInputs (inputs, opts) {
   const velocity = world.getComponent('velocity2d', { from: entity })
   const transform = world.getComponent('transform2d', { from: entity })
   const props = world.getComponent('physicalProps', { from: entity })
+  const moveOpts = {
+    worldLimits: opts.worldLimits,
+    colliders: opts.colliders || []
+  }
 
   if (inputs.length < 1) {
     // There are no input changes.
     // Continue doing what we did last time.
     const deltaTime = opts.currentTime - player.lastUpdateTime
 
-    transform.position.add(Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)))
-    transform.position.boundTo(opts.worldLimits)
+    transform.position = CollisionSystems.move(
+      transform.position,
+      Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)),
+      moveOpts
+    )
     player.lastUpdateTime = opts.currentTime
     return
   }
@@ -155,8 +188,11 @@ export function processInputs (inputs, opts) {
     const deltaTime = input.timestamp - player.lastUpdateTime
     player.lastUpdateTime = input.timestamp
 
-    transform.position.add(Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)))
-    transform.position.boundTo(opts.worldLimits)
+    transform.position = CollisionSystems.move(
+      transform.position,
+      Vector2D.floorAxes(Vector2D.scale(velocity.velocity, deltaTime)),
+      moveOpts
+    )
 
     player.lastProcessedInput = input.inputNum
   }
@@ -175,16 +211,20 @@ export function acceptAuthoritativeState (state, opts) {
   const player = world.getComponent('player', { from: entity })
   const velocity = world.getComponent('velocity2d', { from: entity })
   const transform = world.getComponent('transform2d', { from: entity })
+  const renderOffset = world.getComponent('renderOffset', { from: entity })
+
+  const predicted = Vector2D.fromObject(transform.position)
 
   transform.position = Vector2D.fromObject(state.self.position)
   velocity.velocity = Vector2D.fromObject(state.self.velocity)
 
+  let lastAcknowledgedTime = null
   const unprocessedInputs = player.unprocessedInputs.splice(0)
   const stillUnprocessed = unprocessedInputs.filter(pending => {
     if (pending.inputNum <= state.self.lastProcessedInput) {
       // Already processed. Its effect is already taken into account into the world update
       // we just got, so we can forget about it
-      player.lastInputProcessTime = pending.timestamp
+      lastAcknowledgedTime = pending.timestamp
       return false
     }
 
@@ -192,15 +232,65 @@ export function acceptAuthoritativeState (state, opts) {
   })
 
   if (stillUnprocessed.length > 0) {
+    // Rewind to what the server has processed, so that the inputs the server
+    // hasn't seen yet could be replayed.
+    player.lastProcessedInput = state.self.lastProcessedInput
+    player.lastUpdateTime = lastAcknowledgedTime ?? stillUnprocessed[0].timestamp
+
     processInputs(stillUnprocessed, {
       world: opts.world,
       playerId: opts.playerId,
       // We don't care about the current time, because we KNOW there's
       // still inputs to be processed.
       currentTime: null,
-      worldLimits: opts.worldLimits
+      worldLimits: opts.worldLimits,
+      colliders: opts.colliders
     })
 
     player.unprocessedInputs.push(...stillUnprocessed)
   }
+
+  // Keep drawing the player where we predicted it would be, and let
+  // smoothCorrection() move it to where it actually is.
+  const error = Vector2D.sub(predicted, transform.position)
+  const errorOffset = Vector2D.add(renderOffset.offset, error)
+
+  if (Math.hypot(errorOffset.x, errorOffset.y) > opts.snapDistance) {
+    debug('Misprediction too large; snapping to authoritative position')
+    renderOffset.offset = Vector2D.zero()
+  } else {
+    renderOffset.offset = errorOffset
+  }
+}
+
+/**
+ * Decays the render offset of the specified player, so that corrections to
+ * the player's position are spread over ``opts.smoothingTime`` milliseconds
+ * instead of happening all at once.
+ * @param {SmoothCorrectionOpts} opts Required options.
+ */
+export function smoothCorrection (opts) {
+  const renderOffset = opts.world.getComponent('renderOffset', { from: opts.playerId })
+  const decay = Math.exp(-opts.deltaTime / opts.smoothingTime)
+
+  renderOffset.offset = Vector2D.scale(renderOffset.offset, decay)
+
+  if (Math.hypot(renderOffset.offset.x, renderOffset.offset.y) < 0.5) {
+    // Close enough.
+    renderOffset.offset = Vector2D.zero()
+  }
+}
+
+/**
+ * Gets the position that the specified player should be rendered at, taking
+ * any render offset into account.
+ * @param {World} world The ECS world the player lives in.
+ * @param {EntityType} playerId The player entity.
+ * @returns {InstanceType<Vector2D>}
+ */
+export function getRenderPosition (world, playerId) {
+  const transform = world.getComponent('transform2d', { from: playerId })
+  const renderOffset = world.getComponent('renderOffset', { from: playerId })
+
+  return Vector2D.add(transform.position, renderOffset.offset)
 }
@@ -0,0 +1,143 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Systems for entities controlled by the server.
+ */
+
+import debugFactory from 'debug'
+
+import { Vector2D } from 'colonialwars-lib/math'
+
+import constants from '../../constants.js'
+import { pushSnapshot } from './interpolation.js'
+
+const debug = debugFactory('cw-client:systems:remote')
+
+/**
+ * @typedef {import('colonialwars-lib/math').Vector2DLike} Vector2DLike
+ * @typedef {import('colonialwars-lib/ecs')} World
+ * @typedef {number} EntityType
+ *
+ * @typedef {Object} SyncRemotesOpts
+ * @prop {World} world
+ * @prop {Map<string, EntityType>} remotes A map of server-side entity IDs to
+ * their respective entities in the ECS world. This map is updated in place.
+ * @prop {number} currentTime The time at which the states were received.
+ */
+
+/**
+ * Creates an entity controlled by the server in the specified ECS world.
+ * @param {World} world The ECS world to create the entity in.
+ * @param {import('../game').EntityState} state The initial state of the entity.
+ * @returns {EntityType}
+ */
+export function createRemote (world, state) {
+  const entity = world.create()
+
+  world.addComponent('transform2d', {
+    to: entity,
+    opts: {
+      position: state.position
+    }
+  })
+  world.addComponent('velocity2d', {
+    to: entity
+  })
+  world.addComponent('appearance', {
+    to: entity,
+    opts: {
+      graphic: state.graphic
+    }
+  })
+  world.addComponent('animation', {
+    to: entity
+  })
+  world.addComponent('snapshotBuffer', {
+    to: entity,
+    opts: {
+      maxSize: constants.GAME_CONSTANTS.INTERPOLATION.BUFFER_SIZE
+    }
+  })
+
+  if (state.name && state.team) {
+    world.addComponent('player', {
+      to: entity,
+      opts: {
+        id: state.id,
+        name: state.name,
+        team: state.team
+      }
+    })
+  }
+
+  world.getComponent('velocity2d', { from: entity }).velocity =
+    Vector2D.fromObject(state.velocity || Vector2D.zero())
+
+  return entity
+}
+
+/**
+ * Updates a server-controlled entity with its latest authoritative state.
+ *
+ * The entity's position isn't changed directly; instead, the state is buffered
+ * so that the entity's position could be interpolated later.
+ * @param {EntityType} entity The entity to update.
+ * @param {import('../game').EntityState} state The new state of the entity.
+ * @param {World} world The ECS world the entity lives in.
+ * @param {number} time The time at which the state was received.
+ */
+export function updateRemote (entity, state, world, time) {
+  const velocity = world.getComponent('velocity2d', { from: entity })
+  const appearance = world.getComponent('appearance', { from: entity })
+  const animation = world.getComponent('animation', { from: entity })
+
+  velocity.velocity = Vector2D.fromObject(state.velocity || Vector2D.zero())
+  appearance.graphic = state.graphic
+  animation.forcedState = state.animation || null
+
+  pushSnapshot(entity, {
+    time,
+    position: Vector2D.fromObject(state.position),
+    velocity: velocity.velocity
+  }, world)
+}
+
+/**
+ * Synchronizes all server-controlled entities in the ECS world with the
+ * specified authoritative states.
+ *
+ * Entities that the server doesn't know about yet are created, and entities
+ * that the server no longer reports are destroyed.
+ * @param {Array<import('../game').EntityState>} states The states of all the
+ * server-controlled entities.
+ * @param {SyncRemotesOpts} opts Required options.
+ */
+export function syncRemotes (states, opts) {
+  const world = opts.world
+  const remotes = opts.remotes
+  const seen = new Set()
+
+  for (const state of states) {
+    seen.add(state.id)
+
+    if (remotes.has(state.id)) {
+      updateRemote(remotes.get(state.id), state, world, opts.currentTime)
+      continue
+    }
+
+    debug('Creating remote entity %s', state.id)
+    const entity = createRemote(world, state)
+
+    updateRemote(entity, state, world, opts.currentTime)
+    remotes.set(state.id, entity)
+  }
+
+  for (const [id, entity] of remotes.entries()) {
+    if (seen.has(id)) {
+      continue
+    }
+
+    debug('Destroying remote entity %s', id)
+    world.destroy(entity)
+    remotes.delete(id)
+  }
+}
@@ -6,6 +6,8 @@
 import constants from '../constants.js'
 import { Vector2D } from 'colonialwars-lib/math'
 
+const { ZOOM: zoomConstants } = constants.GAME_CONSTANTS
+
 /**
  * Viewport class.
  */
@@ -16,17 +18,40 @@ export default class Viewport {
    * The position of the viewport will hold the absolute world coordinates for
    * the top left of the view (which correspond to canvas coordinates
    * ``[width / 2, height / 2]``).
-   * @param {HTMLCanvasElement} canvas The canvas element this viewport will take
-   * the height and width from.
+   *
+   * The viewport could also be zoomed. A zoom level of 2 means every world
+   * unit takes up 2 CSS pixels on the canvas.
+   * @param {Record<'width'|'height', number>} dimensions The dimensions of the
+   * view, in CSS pixels.
    */
-  constructor (canvas) {
+  constructor (dimensions) {
     this.position = Vector2D.zero()
     this.velocity = Vector2D.zero()
-    this.canvasOffset = new Vector2D(canvas.width / 2, canvas.height / 2)
+    this.dimensions = dimensions
+
+    this.zoom = 1
+    /** The zoom level the viewport is smoothly zooming towards. */
+    this.targetZoom = 1
+    /**
+     * The canvas coordinate that stays in place while zooming.
+     * @type {Vector2D|null}
+     */
+    this.zoomAnchor = null
 
     this.playerPosition = null
   }
 
+  /**
+   * The offset from the top left of the view to its center, in world units.
+   * @returns {Vector2D}
+   */
+  get canvasOffset () {
+    return new Vector2D(
+      this.dimensions.width / 2 / this.zoom,
+      this.dimensions.height / 2 / this.zoom
+    )
+  }
+
   /**
    * Updates the specified player's tracking position.
    * @param {Vector2D} playerPos The player's current position.
@@ -47,6 +72,63 @@ export default class Viewport {
     this.position.add(this.velocity)
   }
 
+  /**
+   * Moves the zoom level towards the target zoom level, keeping the zoom
+   * anchor in place.
+   * @param {number} deltaTime The timestep to perform the update with.
+   */
+  updateZoom (deltaTime) {
+    if (this.zoom === this.targetZoom) {
+      return
+    }
+
+    const t = Math.min(1, zoomConstants.SMOOTHING * deltaTime)
+    const zoom = Math.abs(this.targetZoom - this.zoom) < 0.001
+      ? this.targetZoom
+      : this.zoom + (this.targetZoom - this.zoom) * t
+    const anchor = this.zoomAnchor || new Vector2D(
+      this.dimensions.width / 2, this.dimensions.height / 2
+    )
+    const anchorWorld = this.toWorld(anchor)
+
+    this.zoom = zoom
+    // Keep the world position under the anchor where it was.
+    this.position = Vector2D.sub(anchorWorld, Vector2D.scale(anchor, 1 / zoom))
+  }
+
+  /**
+   * Zooms the viewport by the specified factor, within the zoom limits.
+   * @param {number} factor How much to multiply the zoom level by.
+   * @param {Vector2D} [anchor] The canvas coordinate to zoom towards. Defaults
+   * to the center of the view.
+   */
+  zoomBy (factor, anchor) {
+    this.setZoom(this.targetZoom * factor, anchor)
+  }
+
+  /**
+   * Sets the zoom level of the viewport, within the zoom limits. The zoom
+   * level changes smoothly.
+   * @param {number} zoom The new zoom level.
+   * @param {Vector2D} [anchor] The canvas coordinate to zoom towards. Defaults
+   * to the center of the view.
+   */
+  setZoom (zoom, anchor) {
+    this.targetZoom = Math.min(zoomConstants.MAX, Math.max(zoomConstants.MIN, zoom))
+    this.zoomAnchor = anchor ? Vector2D.fromObject(anchor) : null
+  }
+
+  /**
+   * Moves the viewport so that it's centered on the specified position
+   * immediately.
+   * @param {Vector2D} position The absolute world coordinate to center on.
+   */
+  centerOn (position) {
+    this.position = Vector2D.sub(position, this.canvasOffset)
+    this.playerPosition = Vector2D.fromObject(this.position)
+    this.velocity = Vector2D.zero()
+  }
+
   /**
    * Converts an absolute world coordinate to a position on the canvas in this
    * viewport's field of view.
@@ -54,7 +136,7 @@ export default class Viewport {
    * @returns {Vector2D}
    */
   toCanvas (position) {
-    return Vector2D.sub(position, this.position)
+    return Vector2D.sub(position, this.position).scale(this.zoom)
   }
 
   /**
@@ -64,6 +146,6 @@ export default class Viewport {
    * @returns {Vector2D}
    */
   toWorld (position) {
-    return Vector2D.add(position, this.position)
+    return Vector2D.add(Vector2D.scale(position, 1 / this.zoom), this.position)
   }
 }
@@ -93,10 +93,12 @@ export class ImageLoader {
 
       img.addEventListener('error', e => {
         e.preventDefault()
-        reject(new Error(e.error))
+        this._loadingImgs.delete(path)
+        reject(new Error(`Failed to load image ${imgPath}!`))
       })
       img.addEventListener('load', () => {
         this._imgCache.set(path, img)
+        this._loadingImgs.delete(path)
         resolve(img)
       })
     })
@@ -152,7 +154,7 @@ export class ImageSlicer {
    * @returns {Promise<ImageBitmap>}
    */
   slice (startX, startY, width, height, opts = {}) {
-    const sliceId = `${startX}${startY}${width}${height}`
+    const sliceId = `${startX},${startY},${width},${height}`
 
     if (this._sliceCache.has(sliceId) && !opts.force) {
       return Promise.resolve(this._sliceCache.get(sliceId))
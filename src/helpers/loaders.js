@@ -80,6 +80,18 @@ export async function loadCWServers () {
   return res.data.serversAvailable
 }
 
+/**
+ * Fetches the data of the game's tile sheet, which describes where every type
+ * of tile is in the tile sheet image.
+ * @returns {Promise<import('../game/render/tiles').TileSheetData>}
+ */
+export function loadTileSheetData () {
+  const url = new URL(
+    `${constants.IMG_CONSTANTS.GAME_IMAGE_DIR}/tiles.json`, window.location.origin
+  )
+  return loadAsJson(url.href)
+}
+
 /**
  * Fetches a list of all the games that are hosted on the server specified in ``serverUrl``.
  * @param {string} serverUrl The URL of the server to fetch the list of games from.
@@ -0,0 +1,131 @@
+/* eslint-env browser */
+/**
+ * @fileoverview LruCache class to cache a limited number of values.
+ */
+
+/**
+ * @template K, V
+ * @callback EvictCallback
+ * @param {V} value The value that was evicted.
+ * @param {K} key The key of the value.
+ * @returns {void}
+ */
+/**
+ * @template K, V
+ * @typedef {Object} LruCacheOpts
+ * @prop {number} capacity The maximum number of values to keep.
+ * @prop {EvictCallback<K, V>} [onEvict] Called whenever a value is removed from
+ * the cache, so that its resources could be released.
+ */
+
+/**
+ * A cache that only keeps the most recently used values.
+ * @template K, V
+ */
+export default class LruCache {
+  /**
+   * Creates a new LruCache. Once the cache is full, the least recently used
+   * value is evicted to make room for a new one.
+   * @param {LruCacheOpts<K, V>} opts Required options.
+   */
+  constructor (opts) {
+    this.capacity = opts.capacity
+    this._onEvict = opts.onEvict || (() => {})
+
+    /**
+     * A Map keeps its keys in insertion order, so the least recently used key is
+     * always the first one.
+     * @type {Map<K, V>}
+     * @private
+     */
+    this._map = new Map()
+  }
+
+  /**
+   * The number of values in this cache.
+   * @returns {number}
+   */
+  get size () {
+    return this._map.size
+  }
+
+  /**
+   * Checks whether the cache has a value for the specified key. This does not
+   * count as using the value.
+   * @param {K} key The key to check.
+   * @returns {boolean}
+   */
+  has (key) {
+    return this._map.has(key)
+  }
+
+  /**
+   * Gets the value of the specified key, and marks it as the most recently used.
+   * Returns undefined if there is no such value.
+   * @param {K} key The key of the value.
+   * @returns {V|undefined}
+   */
+  get (key) {
+    if (!this._map.has(key)) {
+      return undefined
+    }
+
+    const value = this._map.get(key)
+    this._map.delete(key)
+    this._map.set(key, value)
+
+    return value
+  }
+
+  /**
+   * Sets the value of the specified key, evicting the least recently used values
+   * if the cache is full.
+   * @param {K} key The key of the value.
+   * @param {V} value The value.
+   */
+  set (key, value) {
+    if (this._map.has(key)) {
+      this.delete(key)
+    }
+
+    this._map.set(key, value)
+    this.trim()
+  }
+
+  /**
+   * Removes the value of the specified key.
+   * @param {K} key The key of the value.
+   */
+  delete (key) {
+    if (!this._map.has(key)) {
+      return
+    }
+
+    const value = this._map.get(key)
+    this._map.delete(key)
+    this._onEvict(value, key)
+  }
+
+  /**
+   * Evicts the least recently used values until the cache is within its
+   * capacity.
+   */
+  trim () {
+    for (const key of this._map.keys()) {
+      if (this._map.size <= this.capacity) {
+        break
+      }
+
+      this.delete(key)
+    }
+  }
+
+  /**
+   * Removes every value in the cache.
+   */
+  clear () {
+    for (const key of [...this._map.keys()]) {
+      this.delete(key)
+    }
+  }
+}
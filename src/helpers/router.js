@@ -0,0 +1,170 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Router class to map URLs to app pages using the History API.
+ */
+
+import debugFactory from 'debug'
+
+import EventEmitter from './event-emitter.js'
+
+const debug = debugFactory('cw-client:router')
+
+/**
+ * @typedef {Object} Route
+ * @prop {string} pattern The path pattern of the route. Segments starting with
+ * a colon (e.g. ``/play/:gameId``) are parameters.
+ * @prop {symbol} page The page this route leads to.
+ *
+ * @typedef {Object} RouteMatch
+ * @prop {Route} route The route that was matched.
+ * @prop {Record<string, string>} params The decoded values of the route's
+ * parameters.
+ * @prop {Record<string, string>} query The decoded values of the query string.
+ */
+
+/**
+ * Splits a path into its non-empty segments.
+ * @param {string} path The path to split.
+ * @returns {Array<string>}
+ */
+function splitPath (path) {
+  return path.split('/').filter(segment => segment.length > 0)
+}
+
+/**
+ * Router class.
+ * @extends EventEmitter
+ */
+export default class Router extends EventEmitter {
+  /**
+   * Creates a new Router with the specified routes. Routes are matched in
+   * order, and the first one that matches wins.
+   *
+   * Emits ``navigate`` with a ``RouteMatch`` (or null if nothing matched)
+   * whenever the user navigates with the browser's back and forward buttons.
+   * @param {Array<Route>} routes The routes to use.
+   */
+  constructor (routes) {
+    super()
+
+    this.routes = routes
+
+    this._onPopState = this._onPopState.bind(this)
+  }
+
+  /**
+   * Called when the browser's history changes.
+   * @private
+   */
+  _onPopState () {
+    const match = this.match(window.location.pathname, window.location.search)
+
+    debug('Navigated to %s%s', window.location.pathname, window.location.search)
+    this.emit('navigate', match)
+  }
+
+  /**
+   * Finds the route that matches the specified path. Returns null if there
+   * are none.
+   * @param {string} path The path to match.
+   * @param {string} [search=''] The query string that came with the path, if
+   * any.
+   * @returns {RouteMatch|null}
+   */
+  match (path, search = '') {
+    const segments = splitPath(path)
+
+    for (const route of this.routes) {
+      const patternSegments = splitPath(route.pattern)
+      if (patternSegments.length !== segments.length) {
+        continue
+      }
+
+      const params = {}
+      const matches = patternSegments.every((patternSegment, i) => {
+        if (patternSegment.startsWith(':')) {
+          try {
+            params[patternSegment.slice(1)] = decodeURIComponent(segments[i])
+          } catch (ex) {
+            // Malformed URI component.
+            return false
+          }
+          return true
+        }
+
+        return patternSegment === segments[i]
+      })
+
+      if (matches) {
+        return {
+          route,
+          params,
+          query: Object.fromEntries(new URLSearchParams(search))
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Builds a path for the route with the specified pattern.
+   * @param {string} pattern The pattern of the route.
+   * @param {Record<string, string|number>} [params={}] The values of the
+   * route's parameters.
+   * @param {Record<string, string>} [query={}] The query string to add to the
+   * path, if any. Values that could have slashes in them (like URLs) should
+   * go here instead of in ``params``.
+   * @returns {string}
+   */
+  static buildPath (pattern, params = {}, query = {}) {
+    const segments = splitPath(pattern).map(segment => {
+      if (!segment.startsWith(':')) {
+        return segment
+      }
+
+      const name = segment.slice(1)
+      if (!(name in params)) {
+        throw new Error(`Missing route parameter "${name}"!`)
+      }
+
+      return encodeURIComponent(params[name])
+    })
+
+    const search = new URLSearchParams(query).toString()
+
+    return `/${segments.join('/')}${search ? `?${search}` : ''}`
+  }
+
+  /**
+   * Changes the current URL without reloading the page.
+   * @param {string} path The path to go to, including the query string.
+   * @param {boolean} [replace=false] Whether to replace the current history
+   * entry instead of adding a new one.
+   */
+  navigate (path, replace = false) {
+    if (path === `${window.location.pathname}${window.location.search}`) {
+      return
+    }
+
+    if (replace) {
+      window.history.replaceState(null, '', path)
+    } else {
+      window.history.pushState(null, '', path)
+    }
+  }
+
+  /**
+   * Starts listening for history changes.
+   */
+  start () {
+    window.addEventListener('popstate', this._onPopState)
+  }
+
+  /**
+   * Stops listening for history changes.
+   */
+  stop () {
+    window.removeEventListener('popstate', this._onPopState)
+  }
+}
@@ -60,6 +60,10 @@ const GamePickerSchema = JoiWithCoercion.object({
   game: GameInfoSchema.prefs({ convert: true }),
   team: JoiWithCoercion.string()
 }).prefs({ presence: 'required', convert: false })
+// Spectators don't join a team.
+const SpectatorPickerSchema = GamePickerSchema.keys({
+  team: JoiWithCoercion.string().optional()
+})
 
 /**
  * Validate data from the server picker.
@@ -82,6 +86,27 @@ export function validateGamePickerData (data, availableTeams) {
   }).validate(data)
 }
 
+/**
+ * Validate data from the game picker, when spectating.
+ * @param {any} data The data to validate.
+ * @returns {import('joi').ValidationResult<any>}
+ */
+export function validateSpectatorPickerData (data) {
+  return SpectatorPickerSchema.validate(data)
+}
+
+/**
+ * Gets the query that identifies this client to the server, both when getting
+ * authorization and when connecting. Spectators don't have a team.
+ * @param {import('../apps/lobby-app').PlayOpts} opts Options.
+ * @returns {Record<string, string>}
+ */
+export function getPlayerQuery (opts) {
+  return opts.spectate
+    ? { playername: opts.playerName, spectate: 'true' }
+    : { playername: opts.playerName, playerteam: opts.playerTeam }
+}
+
 /**
  * Gets game authorization for this client.
  * @param {string} serverUrl The location of the server.
@@ -90,8 +115,7 @@ export function validateGamePickerData (data, availableTeams) {
  */
 export async function getGameAuth (serverUrl, opts) {
   const query = new URLSearchParams({
-    playername: opts.playerName,
-    playerteam: opts.playerTeam,
+    ...getPlayerQuery(opts),
     playergame: opts.gameID
   }).toString()
   const url = new URL(`/game-auth/get?${query}`, serverUrl)
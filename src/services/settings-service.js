@@ -0,0 +1,236 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Service functions to load and save client settings.
+ */
+
+import debugFactory from 'debug'
+import Joi from 'joi'
+
+import constants from '../constants.js'
+import { GAMEPAD_CONTROLS } from '../game/input/gamepad-tracker.js'
+
+const debug = debugFactory('cw-client:settings-service')
+
+const KEY_BINDINGS_STORAGE_KEY = 'key-bindings'
+const GRAPHICS_SETTINGS_STORAGE_KEY = 'graphics-settings'
+
+/**
+ * Finds a key, button, or control that is bound to more than one action.
+ * @param {Array<Record<string, Array<string>>|undefined>} groups Groups of
+ * bindings that share the same keys, buttons, or controls.
+ * @returns {{ key: string, actions: Array<string> }|null}
+ */
+function findConflict (groups) {
+  /** @type {Map<string, string>} */
+  const boundTo = new Map()
+
+  for (const bindings of groups) {
+    for (const [action, keys] of Object.entries(bindings || {})) {
+      // Keys are bound case-insensitively.
+      for (const key of keys.map(key => key.toLowerCase())) {
+        if (boundTo.has(key) && boundTo.get(key) !== action) {
+          return { key, actions: [boundTo.get(key), action] }
+        }
+        boundTo.set(key, action)
+      }
+    }
+  }
+
+  return null
+}
+
+const KeyListSchema = Joi.array().items(Joi.string().min(1)).min(1)
+const MouseButtonListSchema = Joi.array().items(Joi.string().valid('left', 'middle', 'right')).min(1)
+// Not everyone has a gamepad, so gamepad actions don't need to be bound.
+const GamepadControlListSchema = Joi.array().items(Joi.string().valid(...GAMEPAD_CONTROLS))
+const KeyBindingsSchema = Joi.object({
+  directionBindings: Joi.object({
+    up: KeyListSchema,
+    down: KeyListSchema,
+    left: KeyListSchema,
+    right: KeyListSchema
+  }),
+  // Mouse bindings were added later, so older saved bindings don't have them.
+  mouseBindings: Joi.object({
+    primary: MouseButtonListSchema,
+    secondary: MouseButtonListSchema
+  }).optional(),
+  zoomBindings: Joi.object({
+    zoomIn: KeyListSchema,
+    zoomOut: KeyListSchema
+  }).optional(),
+  spectatorBindings: Joi.object({
+    followNext: KeyListSchema,
+    followPrevious: KeyListSchema
+  }).optional(),
+  gamepadBindings: Joi.object().pattern(
+    Joi.string().valid(
+      'up', 'down', 'left', 'right', 'primary', 'secondary',
+      'zoomIn', 'zoomOut', 'followNext', 'followPrevious'
+    ),
+    GamepadControlListSchema
+  ).optional()
+}).prefs({ presence: 'required' }).custom((value, helpers) => {
+  const conflict = (
+    findConflict([value.directionBindings, value.zoomBindings, value.spectatorBindings]) ||
+    findConflict([value.mouseBindings]) ||
+    findConflict([value.gamepadBindings])
+  )
+  if (conflict) {
+    return helpers.error('keyBindings.conflict', {
+      key: conflict.key,
+      first: conflict.actions[0],
+      second: conflict.actions[1]
+    })
+  }
+
+  return value
+}).messages({
+  'keyBindings.conflict': '"{#key}" is bound to both {#first} and {#second}.'
+})
+const GraphicsSettingsSchema = Joi.object({
+  renderScale: Joi.number().min(0.25).max(2),
+  useDevicePixelRatio: Joi.boolean(),
+  fpsCap: Joi.number().integer().min(0).max(500),
+  showDebugOverlay: Joi.boolean(),
+  chunkSize: Joi.alternatives(
+    Joi.number().valid(0),
+    Joi.number().integer().min(100).max(5000)
+  ).messages({
+    'alternatives.match': 'Chunk size must be 0, or between 100 and 5000 pixels.'
+  })
+}).prefs({ presence: 'required' })
+
+/**
+ * Returns the localStorage object if available. Otherwise,
+ * returns undefined.
+ * @returns {Storage|undefined}
+ */
+function getStorage () {
+  if (window.localStorage) {
+    return window.localStorage
+  }
+  return undefined
+}
+
+/**
+ * Reads and parses a JSON item from storage. Returns null if the item does
+ * not exist or is not valid JSON.
+ * @param {string} key The key of the item.
+ * @returns {any}
+ */
+function readJson (key) {
+  const storage = getStorage()
+  const item = storage && storage.getItem(key)
+  if (!item) {
+    return null
+  }
+
+  try {
+    return JSON.parse(item)
+  } catch (ex) {
+    debug('Stored item "%s" is not valid JSON', key)
+    return null
+  }
+}
+
+/**
+ * Validate key bindings. Every action needs at least one key, and no key,
+ * mouse button, or gamepad control may be bound to more than one action.
+ * @param {any} data The data to validate.
+ * @returns {import('joi').ValidationResult<any>}
+ */
+export function validateKeyBindings (data) {
+  return KeyBindingsSchema.validate(data)
+}
+
+/**
+ * Gets the client's current key bindings.
+ *
+ * Bindings that were added after the key bindings were stored are filled in
+ * with their defaults. Falls back to the default key bindings if there are no
+ * stored key bindings, or if the stored key bindings are corrupt or conflict
+ * with each other.
+ * @returns {import('../game/game.js').GameKeyBindings}
+ */
+export function getKeyBindings () {
+  const defaults = constants.GAME_CONSTANTS.DEFAULT_KEY_BINDINGS
+  const bindings = readJson(KEY_BINDINGS_STORAGE_KEY)
+  if (!bindings || typeof bindings !== 'object') {
+    return defaults
+  }
+
+  const result = validateKeyBindings({ ...defaults, ...bindings })
+  if (result.error) {
+    console.error(`Stored key bindings are invalid: ${result.error.message}`)
+    return defaults
+  }
+
+  return result.value
+}
+
+/**
+ * Saves the specified key bindings. Returns false if the key bindings could not
+ * be saved.
+ * @param {import('../game/game.js').GameKeyBindings} bindings The key bindings
+ * to save.
+ * @returns {boolean}
+ */
+export function setKeyBindings (bindings) {
+  const storage = getStorage()
+  if (!storage) {
+    return false
+  }
+
+  storage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings))
+  return true
+}
+
+/**
+ * Validate graphics settings.
+ * @param {any} data The data to validate.
+ * @returns {import('joi').ValidationResult<any>}
+ */
+export function validateGraphicsSettings (data) {
+  return GraphicsSettingsSchema.validate(data)
+}
+
+/**
+ * Gets the client's current graphics settings.
+ *
+ * Missing settings are filled in with their defaults. If the stored graphics
+ * settings are corrupt, the default graphics settings are returned.
+ * @returns {import('../game/game.js').GraphicsSettings}
+ */
+export function getGraphicsSettings () {
+  const defaults = constants.GAME_CONSTANTS.DEFAULT_GRAPHICS_SETTINGS
+  const settings = readJson(GRAPHICS_SETTINGS_STORAGE_KEY)
+  if (!settings) {
+    return defaults
+  }
+
+  const result = validateGraphicsSettings({ ...defaults, ...settings })
+  if (result.error) {
+    console.error(`Stored graphics settings are invalid: ${result.error.message}`)
+    return defaults
+  }
+
+  return result.value
+}
+
+/**
+ * Saves the specified graphics settings. Returns false if the graphics settings
+ * could not be saved.
+ * @param {import('../game/game.js').GraphicsSettings} settings The graphics
+ * settings to save.
+ * @returns {boolean}
+ */
+export function setGraphicsSettings (settings) {
+  const storage = getStorage()
+  if (!storage) {
+    return false
+  }
+
+  storage.setItem(GRAPHICS_SETTINGS_STORAGE_KEY, JSON.stringify(settings))
+  return true
+}
@@ -0,0 +1,209 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Tests for how the play app reconnects to the server.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import url from 'url'
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import constants from '../../src/constants.js'
+import PlayApp from '../../src/apps/play-app.js'
+import Game from '../../src/game/game.js'
+import * as PlayService from '../../src/services/play-service.js'
+import { ViewportDimensions } from '../../src/helpers/display-utils.js'
+
+import FakeConn from '../harness/fake-conn.js'
+import { installBrowserMocks } from '../harness/mock-canvas.js'
+import { TEST_MAP_DATA } from '../harness/game.js'
+
+vi.mock('colonialwars-lib/cwdtp', async () => ({
+  WSConn: (await import('../harness/fake-conn.js')).default
+}))
+vi.mock('../../src/game/game.js', () => ({
+  default: { create: vi.fn() }
+}))
+vi.mock('../../src/services/play-service.js', async () => ({
+  ...await vi.importActual('../../src/services/play-service.js'),
+  getGameAuth: vi.fn()
+}))
+
+const { COMMUNICATIONS: communications, RECONNECTION: reconnection } = constants
+const INDEX_HTML = fs.readFileSync(
+  path.join(path.dirname(url.fileURLToPath(import.meta.url)), '../../index.html'),
+  'utf-8'
+)
+// How long the play app waits for the server to acknowledge that we're ready.
+const READY_ACK_TIMEOUT = 10000
+
+/**
+ * Waits for every pending promise callback to run.
+ * @returns {Promise<void>}
+ */
+function flush () {
+  return new Promise(resolve => setImmediate(resolve))
+}
+
+/**
+ * Checks whether the element with the specified ID is hidden.
+ * @param {string} id The ID of the element.
+ * @returns {boolean}
+ */
+function isHidden (id) {
+  return document.getElementById(id).classList.contains('hidden')
+}
+
+/**
+ * Opens a connection created by the play app, and lets the play app start a
+ * game with it.
+ * @param {FakeConn} conn The connection.
+ */
+async function joinGame (conn) {
+  conn.simulateOpen()
+  await flush()
+  conn.receive(communications.CONN_READY_ACK, TEST_MAP_DATA)
+  await flush()
+}
+
+/**
+ * Waits for the next reconnection attempt, and gets the connection it created.
+ * @param {number} delay How long until the attempt.
+ * @returns {Promise<FakeConn>}
+ */
+async function nextAttempt (delay) {
+  vi.advanceTimersByTime(delay)
+  await flush()
+
+  return FakeConn.instances[FakeConn.instances.length - 1]
+}
+
+describe('PlayApp', () => {
+  /** @type {PlayApp} */
+  let app = null
+  /** @type {() => void} */
+  let uninstallMocks = null
+
+  beforeEach(async () => {
+    const parsed = new DOMParser().parseFromString(INDEX_HTML, 'text/html')
+    document.body.innerHTML = parsed.body.innerHTML
+
+    uninstallMocks = installBrowserMocks()
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+    FakeConn.instances.length = 0
+
+    let authNum = 0
+    PlayService.getGameAuth.mockImplementation(async () => `auth-${++authNum}`)
+    Game.create.mockImplementation(async () => ({
+      start: vi.fn(),
+      destroy: vi.fn()
+    }))
+
+    app = new PlayApp({ vwDimensions: new ViewportDimensions(), setPage: vi.fn() })
+    await app.initWithOpts({
+      auth: 'auth-0',
+      gameID: 'game-1',
+      serverLoc: 'http://localhost:4000',
+      playerName: 'Tester',
+      playerTeam: 'Blue'
+    })
+    app.start()
+    await joinGame(FakeConn.instances[0])
+  })
+  afterEach(() => {
+    app.stop()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    uninstallMocks()
+  })
+
+  it('should reconnect with a new authorization after the connection drops', async () => {
+    const firstGame = app.game
+
+    FakeConn.instances[0].simulateClose()
+
+    expect(firstGame.destroy).toHaveBeenCalled()
+    expect(isHidden('reconnecting-overlay')).toBe(false)
+    expect(document.getElementById('reconnecting-message').textContent)
+      .toContain(`attempt 1 of ${reconnection.MAX_ATTEMPTS}`)
+
+    // Nothing happens until the first delay is over.
+    await nextAttempt(reconnection.BASE_DELAY - 1)
+    expect(FakeConn.instances).toHaveLength(1)
+
+    const conn = await nextAttempt(1)
+    expect(PlayService.getGameAuth).toHaveBeenCalledTimes(1)
+    expect(new URL(conn.url).searchParams.get('auth')).toBe('auth-1')
+
+    await joinGame(conn)
+    expect(app.conn).toBe(conn)
+    expect(app.game).not.toBe(firstGame)
+    expect(app.game.start).toHaveBeenCalled()
+    expect(app.reconnectAttempts).toBe(0)
+    expect(isHidden('reconnecting-overlay')).toBe(true)
+  })
+
+  it('should back off between attempts, and give up after too many', async () => {
+    FakeConn.instances[0].simulateClose()
+
+    for (let i = 0; i < reconnection.MAX_ATTEMPTS; i++) {
+      const delay = Math.min(reconnection.BASE_DELAY * 2 ** i, reconnection.MAX_DELAY)
+
+      await nextAttempt(delay - 1)
+      expect(FakeConn.instances).toHaveLength(i + 1)
+
+      // The server closes every connection before it could be opened.
+      const conn = await nextAttempt(1)
+      expect(FakeConn.instances).toHaveLength(i + 2)
+      conn.simulateClose()
+      await flush()
+    }
+
+    expect(isHidden('reconnecting-overlay')).toBe(true)
+    expect(isHidden('error-screen')).toBe(false)
+    expect(isHidden('error-screen__return-button')).toBe(false)
+    document.getElementById('error-screen__return-button').click()
+    expect(app.setPage).toHaveBeenCalledTimes(1)
+    expect(app.setPage).toHaveBeenCalledWith(constants.APP_PAGES.LOBBY)
+
+    await nextAttempt(reconnection.MAX_DELAY)
+    expect(FakeConn.instances).toHaveLength(reconnection.MAX_ATTEMPTS + 1)
+  })
+
+  it('should only reconnect once when the connection errors and closes', async () => {
+    const conn = FakeConn.instances[0]
+
+    conn.simulateError()
+    conn.simulateClose()
+    await nextAttempt(reconnection.BASE_DELAY)
+    await nextAttempt(reconnection.MAX_DELAY)
+
+    expect(FakeConn.instances).toHaveLength(2)
+    expect(PlayService.getGameAuth).toHaveBeenCalledTimes(1)
+  })
+
+  it('should only close the connection of a failed attempt', async () => {
+    const first = FakeConn.instances[0]
+
+    first.simulateClose()
+    const second = await nextAttempt(reconnection.BASE_DELAY)
+    second.simulateOpen()
+    await flush()
+
+    // The server never acknowledges that we're ready.
+    vi.advanceTimersByTime(READY_ACK_TIMEOUT)
+    await flush()
+
+    expect(second.closedWith).toMatchObject({ code: 1000 })
+    expect(first.closedWith).toBe(null)
+    expect(app.conn).toBe(null)
+
+    const third = await nextAttempt(reconnection.BASE_DELAY * 2)
+    await joinGame(third)
+
+    expect(FakeConn.instances).toHaveLength(3)
+    expect(app.conn).toBe(third)
+    expect(third.closedWith).toBe(null)
+  })
+})
@@ -0,0 +1,156 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Tests for the Game client's message flow, client-side
+ * prediction, and reconciliation.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import constants from '../../src/constants.js'
+import { installBrowserMocks } from '../harness/mock-canvas.js'
+import { createTestGame, getSelf, step } from '../harness/game.js'
+
+const { COMMUNICATIONS: communications } = constants
+// The test map ticks every 20ms, so the player moves 5 pixels every tick.
+const TICK = 20
+const SPEED = 0.25
+
+/**
+ * Creates a game state with our own player in it.
+ * @param {Partial<import('../../src/game/game').PlayerStats>} [self]
+ * Overrides for our player's stats.
+ * @returns {import('../../src/game/game').GameState}
+ */
+function createState (self = {}) {
+  return {
+    self: {
+      name: 'Tester',
+      team: 'Blue',
+      graphic: 'player',
+      speed: SPEED,
+      position: { x: 500, y: 500 },
+      velocity: { x: 0, y: 0 },
+      lastProcessedInput: 0,
+      ...self
+    },
+    others: []
+  }
+}
+
+describe('Game', () => {
+  /** @type {import('../harness/game').TestGame} */
+  let testGame = null
+  /** @type {() => void} */
+  let uninstallMocks = null
+
+  beforeEach(async () => {
+    uninstallMocks = installBrowserMocks()
+
+    testGame = await createTestGame()
+    // The first frame only starts the clock.
+    step(testGame)
+  })
+  afterEach(() => {
+    testGame.game.destroy()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    uninstallMocks()
+  })
+
+  it('should process server messages on the next simulation tick', () => {
+    testGame.conn.receive(communications.CONN_UPDATE, createState())
+
+    expect(getSelf(testGame.game)).toBe(null)
+
+    step(testGame, TICK)
+
+    expect(getSelf(testGame.game).position).toMatchObject({ x: 500, y: 500 })
+  })
+
+  it('should send every sampled input once, with a wall-clock timestamp', () => {
+    const wallClock = new Date('2022-10-01T00:00:00Z').getTime()
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(wallClock)
+
+    testGame.conn.receive(communications.CONN_UPDATE, createState())
+    step(testGame, TICK)
+    testGame.inputTracker.onKeyDown({ key: 'd' })
+    step(testGame, TICK / 2)
+
+    // Inputs are only sampled when a tick happens.
+    expect(testGame.conn.sentData(communications.CONN_CLIENT_ACTION)).toEqual([])
+
+    step(testGame, TICK / 2)
+    step(testGame, TICK)
+    step(testGame, TICK)
+
+    const sent = testGame.conn.sentData(communications.CONN_CLIENT_ACTION)
+    expect(sent).toHaveLength(1)
+    expect(sent[0]).toMatchObject({
+      inputNum: 1,
+      timestamp: wallClock,
+      direction: { up: false, down: false, left: false, right: true }
+    })
+    // Locally, the input happened at the tick it was sampled in.
+    expect(getSelf(testGame.game).player.unprocessedInputs[0].timestamp)
+      .toBe(2 * TICK)
+  })
+
+  it('should predict movement before the server acknowledges it', () => {
+    testGame.conn.receive(communications.CONN_UPDATE, createState())
+    step(testGame, TICK)
+    testGame.inputTracker.onKeyDown({ key: 'd' })
+
+    for (let i = 0; i < 4; i++) {
+      step(testGame, TICK)
+    }
+
+    expect(getSelf(testGame.game).position).toMatchObject({
+      x: 500 + 4 * SPEED * TICK,
+      y: 500
+    })
+  })
+
+  it('should replay unacknowledged inputs on top of the authoritative state', () => {
+    testGame.conn.receive(communications.CONN_UPDATE, createState())
+    step(testGame, TICK)
+    // Input #1: move right.
+    testGame.inputTracker.onKeyDown({ key: 'd' })
+    step(testGame, TICK)
+    // Input #2: move down instead.
+    testGame.inputTracker.onKeyUp({ key: 'd' })
+    testGame.inputTracker.onKeyDown({ key: 's' })
+    step(testGame, TICK)
+
+    expect(getSelf(testGame.game).position).toMatchObject({ x: 505, y: 505 })
+
+    // The server has only processed input #1, and it thinks we're 10 pixels
+    // further to the right than we predicted.
+    testGame.conn.receive(communications.CONN_UPDATE, createState({
+      position: { x: 515, y: 500 },
+      velocity: { x: SPEED, y: 0 },
+      lastProcessedInput: 1
+    }))
+    step(testGame, TICK)
+
+    const self = getSelf(testGame.game)
+    // Input #2 is replayed from where the server says we are, and the player
+    // keeps moving down afterwards.
+    expect(self.position).toMatchObject({ x: 515, y: 510 })
+    expect(self.player.unprocessedInputs.map(input => input.inputNum)).toEqual([2])
+  })
+
+  it("should measure latency with the connection's heartbeat pings", () => {
+    const now = vi.spyOn(window.performance, 'now').mockReturnValue(1000)
+
+    // Pongs without a ping are ignored.
+    testGame.conn.emit('pong')
+    expect(testGame.game._latency).toBe(null)
+
+    testGame.conn.emit('ping')
+    now.mockReturnValue(1042)
+    testGame.conn.emit('pong')
+
+    expect(testGame.game._latency).toBe(42)
+  })
+})
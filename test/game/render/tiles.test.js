@@ -0,0 +1,118 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Tests for decoding tile layers and drawing them with a tile
+ * sheet.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import url from 'url'
+
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+
+import { EDGES, decodeTileLayer, getEdges, renderTiles } from '../../../src/game/render/tiles.js'
+import { MockContext } from '../../harness/mock-canvas.js'
+
+/** @type {import('../../../src/game/render/tiles').TileSheetData} */
+const SHEET_DATA = JSON.parse(fs.readFileSync(path.join(
+  path.dirname(url.fileURLToPath(import.meta.url)),
+  '../../../public/imgs/game/tiles.json'
+), 'utf-8'))
+
+/**
+ * Creates a decoded tile layer from rows of tile types.
+ * @param {Array<Array<string>>} rows The type of every tile, row by row.
+ * @returns {import('../../../src/game/render/tiles').DecodedTileLayer}
+ */
+function createLayer (rows) {
+  const palette = [...new Set(rows.flat())]
+
+  return decodeTileLayer({
+    width: rows[0].length,
+    height: rows.length,
+    palette,
+    data: rows.flat().flatMap(type => [1, palette.indexOf(type)])
+  })
+}
+
+/**
+ * Draws a tile layer, and gets the frames drawn at the specified tile, in the
+ * order they were drawn.
+ * @param {Array<Array<string>>} rows The type of every tile, row by row.
+ * @param {number} x The column of the tile.
+ * @param {number} y The row of the tile.
+ * @returns {Promise<Array<string>>} The positions of the frames, like ``1,0``.
+ */
+async function framesDrawnAt (rows, x, y) {
+  const ctx = new MockContext(null)
+
+  await renderTiles(ctx, {
+    layer: createLayer(rows),
+    sheetData: SHEET_DATA,
+    sheet: null,
+    tileSize: 10
+  })
+
+  return ctx.callsTo('drawImage')
+    .filter(([, dx, dy]) => dx === x * 10 && dy === y * 10)
+    .map(([frame]) => frame.key)
+}
+
+describe('getEdges', () => {
+  it('should get the type of every neighbour with a higher priority', () => {
+    const layer = createLayer([
+      ['water', 'sand', 'water'],
+      ['grass', 'water', 'water'],
+      ['water', 'sand', 'water']
+    ])
+
+    expect(getEdges(layer, 1, 1, SHEET_DATA)).toEqual({
+      [EDGES.NORTH]: 'sand',
+      [EDGES.SOUTH]: 'sand',
+      [EDGES.WEST]: 'grass'
+    })
+    // Tiles with a lower priority, and the edge of the map, are left out.
+    expect(getEdges(layer, 1, 0, SHEET_DATA)).toEqual({})
+  })
+})
+
+describe('renderTiles', () => {
+  const originalCreateImageBitmap = globalThis.createImageBitmap
+
+  beforeEach(() => {
+    // Label every frame with its position in the tile sheet.
+    globalThis.createImageBitmap = async (sheet, sx, sy, sw, sh) => ({
+      key: `${sx / sw},${sy / sh}`
+    })
+  })
+  afterEach(() => {
+    globalThis.createImageBitmap = originalCreateImageBitmap
+  })
+
+  it('should draw the edge frame of the type of the neighbour', async () => {
+    const { water } = SHEET_DATA.tiles
+
+    expect(await framesDrawnAt([['water', 'grass']], 0, 0)).toEqual([
+      water.frame.join(','),
+      water.edges.grass[EDGES.EAST].join(',')
+    ])
+    expect(await framesDrawnAt([['water', 'sand']], 0, 0)).toEqual([
+      water.frame.join(','),
+      water.edges.sand[EDGES.EAST].join(',')
+    ])
+  })
+
+  it('should draw the edge frames of higher priority neighbours on top', async () => {
+    const { water } = SHEET_DATA.tiles
+    const frames = await framesDrawnAt([
+      ['water', 'sand'],
+      ['grass', 'water']
+    ], 1, 1)
+
+    expect(frames).toEqual([
+      water.frame.join(','),
+      water.edges.grass[EDGES.WEST].join(','),
+      water.edges.sand[EDGES.NORTH].join(',')
+    ])
+  })
+})
@@ -0,0 +1,106 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Tests for the interpolation of server-controlled entities.
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest'
+
+import World from 'colonialwars-lib/ecs'
+
+import SnapshotBuffer from '../../../src/game/components/snapshots.js'
+import AnimationComponent from '../../../src/game/components/animation.js'
+import AppearanceComponent from '../../../src/game/components/appearance.js'
+import PlayerComponent from '../../../src/game/components/player.js'
+import * as PhysicsComponents from '../../../src/game/components/physics.js'
+import * as RemoteSystems from '../../../src/game/systems/remote.js'
+import * as InterpolationSystems from '../../../src/game/systems/interpolation.js'
+
+const DELAY = 100
+const MAX_EXTRAPOLATION = 250
+const WORLD_LIMITS = Object.freeze({ x: 1000, y: 1000 })
+
+describe('InterpolationSystems', () => {
+  /** @type {World} */
+  let world = null
+  /** @type {Map<string, number>} */
+  let remotes = null
+
+  /**
+   * Syncs the remote entities with the specified states, as if they were
+   * received at ``time``.
+   * @param {number} time The time the states were received at.
+   * @param {Array<import('../../../src/game/game').EntityState>} states
+   */
+  function receive (time, states) {
+    RemoteSystems.syncRemotes(states, { world, remotes, currentTime: time })
+  }
+
+  /**
+   * Interpolates every remote entity, and gets the position of the specified
+   * one.
+   * @param {number} time The current time.
+   * @param {string} id The server-side ID of the entity.
+   * @returns {import('colonialwars-lib/math').Vector2D}
+   */
+  function positionAt (time, id) {
+    InterpolationSystems.interpolate(remotes.values(), {
+      world,
+      currentTime: time,
+      delay: DELAY,
+      maxExtrapolation: MAX_EXTRAPOLATION,
+      worldLimits: WORLD_LIMITS
+    })
+
+    return world.getComponent('transform2d', { from: remotes.get(id) }).position
+  }
+
+  beforeEach(() => {
+    world = new World()
+    remotes = new Map()
+
+    world.registerComponent('physicalProps', PhysicsComponents.PhysicalProps)
+    world.registerComponent('transform2d', PhysicsComponents.Transform2d)
+    world.registerComponent('velocity2d', PhysicsComponents.Velocity2d)
+    world.registerComponent('appearance', AppearanceComponent)
+    world.registerComponent('animation', AnimationComponent)
+    world.registerComponent('snapshotBuffer', SnapshotBuffer)
+    world.registerComponent('player', PlayerComponent)
+  })
+
+  it('should render entities between the snapshots around the delayed time', () => {
+    receive(1000, [{ id: 'a', graphic: 'tree', position: { x: 100, y: 100 } }])
+    receive(1100, [{ id: 'a', graphic: 'tree', position: { x: 200, y: 300 } }])
+
+    expect(positionAt(1100, 'a')).toMatchObject({ x: 100, y: 100 })
+    expect(positionAt(1125, 'a')).toMatchObject({ x: 125, y: 150 })
+    expect(positionAt(1175, 'a')).toMatchObject({ x: 175, y: 250 })
+  })
+
+  it('should extrapolate for a limited time when snapshots are late', () => {
+    receive(1000, [{
+      id: 'a', graphic: 'tree', position: { x: 100, y: 100 }, velocity: { x: 0.1, y: 0 }
+    }])
+
+    expect(positionAt(1200, 'a')).toMatchObject({ x: 110, y: 100 })
+    // Never more than MAX_EXTRAPOLATION milliseconds past the last snapshot.
+    expect(positionAt(5000, 'a')).toMatchObject({ x: 125, y: 100 })
+  })
+
+  it('should drop snapshots that arrive out of order', () => {
+    receive(1000, [{ id: 'a', graphic: 'tree', position: { x: 100, y: 100 } }])
+    receive(1100, [{ id: 'a', graphic: 'tree', position: { x: 200, y: 100 } }])
+    receive(1050, [{ id: 'a', graphic: 'tree', position: { x: 900, y: 900 } }])
+
+    expect(positionAt(1150, 'a')).toMatchObject({ x: 150, y: 100 })
+  })
+
+  it('should destroy entities the server no longer reports', () => {
+    receive(1000, [
+      { id: 'a', graphic: 'tree', position: { x: 100, y: 100 } },
+      { id: 'b', graphic: 'tree', position: { x: 200, y: 200 } }
+    ])
+    receive(1100, [{ id: 'a', graphic: 'tree', position: { x: 100, y: 100 } }])
+
+    expect([...remotes.keys()]).toEqual(['a'])
+  })
+})
@@ -0,0 +1,167 @@
+/* eslint-env browser */
+/**
+ * @fileoverview FakeConn class, an in-memory stand-in for the ``WSConn`` class
+ * of ``colonialwars-lib/cwdtp``.
+ */
+
+import EventEmitter from '../../src/helpers/event-emitter.js'
+
+/**
+ * @typedef {Object} SentMessage
+ * @prop {string} event
+ * @prop {any} data
+ *
+ * @typedef {Object} CloseInfo
+ * @prop {number} code
+ * @prop {string} reason
+ */
+
+/**
+ * An EventEmitter that could also listen for an event only once, like the
+ * message emitter of a real connection.
+ * @extends EventEmitter
+ */
+class MessageEmitter extends EventEmitter {
+  /**
+   * Adds an event listener that is removed after it's called once.
+   * @param {string} type The type of the event.
+   * @param {(...args: Array<any>) => void} listener The listener to call.
+   */
+  once (type, listener) {
+    const onceWrapper = (...args) => {
+      this.removeListener(type, onceWrapper)
+      listener(...args)
+    }
+    // Allow removeListener(type, listener) to remove the wrapper.
+    onceWrapper.listener = listener
+
+    this.addListener(type, onceWrapper)
+  }
+
+  /**
+   * Removes an event listener, including ones added with ``.once()``.
+   * @param {string} type The type of the event.
+   * @param {(...args: Array<any>) => void} callback The callback to remove.
+   */
+  removeListener (type, callback) {
+    const wrapper = (this.listeners[type] || [])
+      .find(listener => listener.listener === callback)
+
+    super.removeListener(type, wrapper || callback)
+  }
+}
+
+/**
+ * FakeConn class.
+ * @extends EventEmitter
+ */
+export default class FakeConn extends EventEmitter {
+  /**
+   * Creates a new FakeConn. Nothing goes over the network: messages sent with
+   * ``.send()`` are recorded in ``.sent``, and messages from the "server" are
+   * delivered with ``.receive()``.
+   *
+   * Every FakeConn that is created is recorded in ``FakeConn.instances``, so
+   * that connections created by the code under test could be reached.
+   * @param {string} [url] The URL that would have been connected to.
+   * @param {any} [opts] The options the connection was created with.
+   */
+  constructor (url = 'ws://localhost/play', opts = {}) {
+    super()
+
+    this.url = url
+    this.opts = opts
+    this.messages = new MessageEmitter()
+    /**
+     * Every message sent over this connection, oldest first.
+     * @type {Array<SentMessage>}
+     */
+    this.sent = []
+    /**
+     * How the connection was closed with ``.close()``, or null if it wasn't.
+     * @type {CloseInfo|null}
+     */
+    this.closedWith = null
+    this.isOpen = false
+
+    FakeConn.instances.push(this)
+  }
+
+  /**
+   * Gets the data of every message sent with the specified event.
+   * @param {string} event The event of the messages.
+   * @returns {Array<any>}
+   */
+  sentData (event) {
+    return this.sent
+      .filter(msg => msg.event === event)
+      .map(msg => msg.data)
+  }
+
+  /**
+   * Records a message sent to the "server".
+   * @param {string} event The event of the message.
+   * @param {any} [data] The data of the message.
+   */
+  send (event, data) {
+    if (!this.isOpen) {
+      throw new Error('Connection is not open!')
+    }
+
+    this.sent.push({ event, data })
+  }
+
+  /**
+   * Delivers a message from the "server".
+   * @param {string} event The event of the message.
+   * @param {any} [data] The data of the message.
+   */
+  receive (event, data) {
+    this.messages.emit(event, data)
+  }
+
+  /**
+   * Pretends the connection was opened.
+   */
+  simulateOpen () {
+    this.isOpen = true
+    this.emit('open')
+  }
+
+  /**
+   * Pretends the connection ran into an error.
+   * @param {Error} [err] The error.
+   */
+  simulateError (err = new Error('Connection error!')) {
+    this.emit('error', err)
+  }
+
+  /**
+   * Pretends the "server" closed the connection.
+   */
+  simulateClose () {
+    this.isOpen = false
+    this.emit('close')
+  }
+
+  /**
+   * Closes the connection from our side.
+   * @param {number} code The close code.
+   * @param {string} reason Why the connection was closed.
+   */
+  close (code, reason) {
+    const wasOpen = this.isOpen
+
+    this.closedWith = { code, reason }
+    this.isOpen = false
+    if (wasOpen) {
+      this.emit('close')
+    }
+  }
+}
+
+/**
+ * Every FakeConn that has been created, oldest first. Clear it between tests.
+ * @type {Array<FakeConn>}
+ */
+FakeConn.instances = []
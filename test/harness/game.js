@@ -0,0 +1,106 @@
+/* eslint-env browser */
+/**
+ * @fileoverview Functions to create and drive a headless Game client.
+ */
+
+import Game from '../../src/game/game.js'
+import InputTracker from '../../src/game/input/input-tracker.js'
+import { ViewportDimensions } from '../../src/helpers/display-utils.js'
+
+import FakeConn from './fake-conn.js'
+import ManualClock from './manual-clock.js'
+
+/**
+ * @typedef {import('../../src/apps/play-app').MapData} MapData
+ *
+ * @typedef {Object} TestGameOpts
+ * @prop {Partial<MapData>} [mapData] Overrides for the default map data.
+ *
+ * @typedef {Object} TestGame
+ * @prop {Game} game
+ * @prop {FakeConn} conn
+ * @prop {ManualClock} clock
+ * @prop {InputTracker} inputTracker An input tracker that isn't attached to
+ * anything, so inputs have to be fed to it by hand.
+ * @prop {import('./mock-canvas').MockContext} context
+ */
+
+/**
+ * A small, empty map, where a simulation tick is exactly 20ms long.
+ * @type {MapData}
+ */
+export const TEST_MAP_DATA = Object.freeze({
+  tickRate: 50,
+  obstacles: [],
+  decorations: [],
+  tileType: 'grass',
+  graphicsData: {},
+  worldLimits: Object.freeze({ x: 1000, y: 1000 })
+})
+
+/**
+ * An image loader that doesn't load anything.
+ */
+const fakeImgLoader = {
+  loadImg: async () => ({ width: 300, height: 300 })
+}
+
+/**
+ * Creates and initializes a Game client with a FakeConn, a mocked canvas
+ * context, and an input tracker that isn't attached to the document.
+ *
+ * ``installBrowserMocks()`` must be called first.
+ * @param {TestGameOpts} [opts] Options.
+ * @returns {Promise<TestGame>}
+ */
+export async function createTestGame (opts = {}) {
+  const conn = new FakeConn()
+  const inputTracker = new InputTracker()
+  const context = document.createElement('canvas').getContext('2d')
+  const vwDimensions = new ViewportDimensions()
+
+  // jsdom doesn't lay anything out.
+  vwDimensions.width = 800
+  vwDimensions.height = 600
+  conn.simulateOpen()
+
+  const game = await Game.create({
+    conn,
+    context,
+    vwDimensions,
+    inputTracker,
+    imgLoader: fakeImgLoader,
+    mapData: { ...TEST_MAP_DATA, ...opts.mapData }
+  })
+
+  return { game, conn, inputTracker, context, clock: new ManualClock() }
+}
+
+/**
+ * Updates the game, after moving the clock forward.
+ * @param {TestGame} testGame The game to update.
+ * @param {number} [ms=0] How long to move the clock forward by.
+ */
+export function step (testGame, ms = 0) {
+  testGame.game.update(testGame.clock.advance(ms))
+}
+
+/**
+ * Gets the entity of our own player in the game's world, or null if there
+ * isn't one yet.
+ * @param {Game} game The game.
+ * @returns {{
+ *   position: import('colonialwars-lib/math').Vector2D,
+ *   player: import('../../src/game/components/player').default
+ * }|null}
+ */
+export function getSelf (game) {
+  if (game._self === null) {
+    return null
+  }
+
+  return {
+    position: game._world.getComponent('transform2d', { from: game._self }).position,
+    player: game._world.getComponent('player', { from: game._self })
+  }
+}
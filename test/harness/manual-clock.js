@@ -0,0 +1,28 @@
+/* eslint-env browser */
+/**
+ * @fileoverview ManualClock class, a clock that only moves when told to.
+ */
+
+/**
+ * ManualClock class.
+ */
+export default class ManualClock {
+  /**
+   * Creates a new ManualClock. The clock could be used in place of
+   * ``performance.now()``, so that the game could be updated deterministically.
+   * @param {number} [start=0] The time to start at, in milliseconds.
+   */
+  constructor (start = 0) {
+    this.now = start
+  }
+
+  /**
+   * Moves the clock forward.
+   * @param {number} ms How many milliseconds to move forward by.
+   * @returns {number} The new time.
+   */
+  advance (ms) {
+    this.now += ms
+    return this.now
+  }
+}
@@ -0,0 +1,146 @@
+/* eslint-env browser */
+/**
+ * @fileoverview A mocked 2D canvas context, and the browser APIs around it
+ * that jsdom doesn't implement.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import url from 'url'
+
+import { vi } from 'vitest'
+
+const PUBLIC_DIR = path.join(
+  path.dirname(url.fileURLToPath(import.meta.url)), '../../public'
+)
+/**
+ * The methods of ``CanvasRenderingContext2D`` that the game uses. Calls to
+ * them are recorded, but nothing is drawn.
+ */
+const METHODS = Object.freeze([
+  'arc', 'beginPath', 'clearRect', 'clip', 'drawImage', 'fill', 'fillRect',
+  'fillText', 'rect', 'restore', 'save', 'setTransform', 'strokeRect'
+])
+
+/**
+ * @typedef {Object} ContextCall
+ * @prop {string} method
+ * @prop {Array<any>} args
+ */
+
+/**
+ * MockContext class.
+ */
+export class MockContext {
+  /**
+   * Creates a new MockContext, which records every drawing call made on it
+   * instead of drawing anything.
+   * @param {HTMLCanvasElement} canvas The canvas this context belongs to.
+   */
+  constructor (canvas) {
+    this.canvas = canvas
+
+    this.fillStyle = '#000000'
+    this.strokeStyle = '#000000'
+    this.lineWidth = 1
+    this.globalAlpha = 1
+    this.font = '10px sans-serif'
+    this.textBaseline = 'alphabetic'
+    this.imageSmoothingEnabled = true
+
+    /**
+     * Every drawing call made on this context, oldest first.
+     * @type {Array<ContextCall>}
+     */
+    this.calls = []
+  }
+
+  /**
+   * Gets the arguments of every call made to the specified method.
+   * @param {string} method The name of the method.
+   * @returns {Array<Array<any>>}
+   */
+  callsTo (method) {
+    return this.calls
+      .filter(call => call.method === method)
+      .map(call => call.args)
+  }
+
+  /**
+   * Pretends to measure text, with every character 6 pixels wide.
+   * @param {string} text The text to measure.
+   * @returns {{ width: number }}
+   */
+  measureText (text) {
+    return { width: text.length * 6 }
+  }
+}
+
+for (const method of METHODS) {
+  MockContext.prototype[method] = function (...args) {
+    this.calls.push({ method, args })
+  }
+}
+
+/**
+ * Pretends to create an ImageBitmap from an image, or a part of one.
+ * @param {{ width: number, height: number }} img The source image.
+ * @param {number} [sx] The X coordinate of the part to use.
+ * @param {number} [sy] The Y coordinate of the part to use.
+ * @param {number} [sw] The width of the part to use.
+ * @param {number} [sh] The height of the part to use.
+ * @returns {Promise<ImageBitmap>}
+ */
+async function fakeCreateImageBitmap (img, sx, sy, sw, sh) {
+  return {
+    width: sw ?? img.width,
+    height: sh ?? img.height,
+    close () {}
+  }
+}
+
+/**
+ * Pretends to fetch a file from the ``public`` directory.
+ * @param {string} resource The URL to fetch.
+ * @returns {Promise<Response>}
+ */
+async function fakeFetch (resource) {
+  const file = path.join(PUBLIC_DIR, new URL(resource).pathname)
+
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404, json: async () => ({}) }
+  }
+
+  const contents = await fs.promises.readFile(file, 'utf-8')
+  return { ok: true, status: 200, json: async () => JSON.parse(contents) }
+}
+
+/**
+ * Makes every canvas return a MockContext, and stubs the other browser APIs
+ * the game needs but jsdom doesn't have. Files are "fetched" from the
+ * ``public`` directory.
+ * @returns {() => void} A function that undoes everything.
+ */
+export function installBrowserMocks () {
+  /** @type {WeakMap<HTMLCanvasElement, MockContext>} */
+  const contexts = new WeakMap()
+  const originals = {
+    createImageBitmap: globalThis.createImageBitmap,
+    fetch: globalThis.fetch
+  }
+
+  const getContext = vi.spyOn(HTMLCanvasElement.prototype, 'getContext')
+    .mockImplementation(function () {
+      if (!contexts.has(this)) {
+        contexts.set(this, new MockContext(this))
+      }
+      return contexts.get(this)
+    })
+  globalThis.createImageBitmap = fakeCreateImageBitmap
+  globalThis.fetch = fakeFetch
+
+  return () => {
+    getContext.mockRestore()
+    Object.assign(globalThis, originals)
+  }
+}
@@ -7,7 +7,14 @@ import url from 'url'
 
 import { defineConfig } from 'vite'
 
+import mockServerPlugin from './dev/mock-server/index.js'
+
 const DIRNAME = path.dirname(url.fileURLToPath(import.meta.url))
+// Whether to serve a mock Colonial Wars server from the development server.
+const USE_MOCK_SERVER = Boolean(process.env.CW_MOCK_SERVER)
+const SERVER_LOCATION = USE_MOCK_SERVER
+  ? 'http://localhost:5555'
+  : 'http://localhost:4000'
 
 /**
  * Custom XHR route.
@@ -24,7 +31,9 @@ const XhrRoutePlugin = {
 }
 
 export default defineConfig({
-  plugins: [XhrRoutePlugin],
+  plugins: USE_MOCK_SERVER
+    ? [XhrRoutePlugin, mockServerPlugin()]
+    : [XhrRoutePlugin],
   build: {
     rollupOptions: {
       input: {
@@ -43,6 +52,10 @@ export default defineConfig({
     port: 5555,
     host: 'localhost',
     strictPort: true
+  },
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.js']
   }
 })
 
@@ -73,7 +86,7 @@ function handleXhr (req, res) {
         data: {
           serversAvailable: [
             // Send only one server name.
-            { serverName: 'Development 1', location: 'http://localhost:4000' }
+            { serverName: 'Development 1', location: SERVER_LOCATION }
           ]
         }
       }))